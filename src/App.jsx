@@ -1,7 +1,15 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Zap, Settings, RefreshCw, CheckCircle, AlertCircle, Loader, TrendingUp, Search, Sparkles, Code, Eye, Copy, Bold, Italic, List, ListOrdered, Link2, ImagePlus, Type, Undo2, ChevronDown, Upload } from 'lucide-react';
-
-const BACKEND_URL = 'https://contentops-backend-production.up.railway.app';
+import * as XLSX from 'xlsx';
+import { Zap, Settings, RefreshCw, CheckCircle, AlertCircle, Loader, TrendingUp, Search, Sparkles, Code, Eye, Copy, Bold, Italic, List, ListOrdered, Link2, ImagePlus, Type, Undo2, Redo2, ChevronDown, Upload, X, Clock, Trash2, Lock } from 'lucide-react';
+
+// Backend for profiles that don't set their own URL. VITE_BACKEND_URL overrides it
+// per build; VITE_BACKEND_STAGING_URL / VITE_BACKEND_LOCAL_URL add presets.
+const DEFAULT_BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'https://contentops-backend-production.up.railway.app';
+const BACKEND_PRESETS = [
+  ['Production', DEFAULT_BACKEND_URL],
+  ['Staging', import.meta.env.VITE_BACKEND_STAGING_URL],
+  ['Local', import.meta.env.VITE_BACKEND_LOCAL_URL || 'http://localhost:3000'],
+].filter(([, url]) => url);
 
 // ── Normalize browser-absolutized anchor hrefs ──
 // The browser resolves #anchor hrefs to absolute URLs inside contenteditable.
@@ -25,14 +33,493 @@ const normalizeHref = (href) => {
 };
 
 // ── Blog type detection ─────────────────────────
-const detectBlogType = (title) => {
+// Rules are checked in order; the first stage with a keyword in the title
+// wins. Keywords match as typed — spaces count ("vs " won't match "canvas").
+const FUNNEL_STAGES = ['TOFU', 'MOFU', 'BOFU'];
+const DEFAULT_FUNNEL_RULES = {
+  rules: [
+    { stage: 'BOFU', keywords: ['vs ', ' vs.', 'versus', 'alternative', 'review', 'pricing', 'comparison', 'compare', 'better than', 'pros and cons'] },
+    { stage: 'TOFU', keywords: ['what is', 'what are', 'why', 'top 10', 'top 5', 'tips', 'guide to', 'beginner', 'explained', 'ultimate guide'] },
+  ],
+  fallback: 'MOFU',
+};
+
+const detectBlogType = (title, funnel = DEFAULT_FUNNEL_RULES) => {
   const t = title.toLowerCase();
-  if (['vs ', ' vs.', 'versus', 'alternative', 'review', 'pricing', 'comparison', 'compare', 'better than', 'pros and cons'].some(k => t.includes(k))) return 'BOFU';
-  if (['what is', 'what are', 'why', 'top 10', 'top 5', 'tips', 'guide to', 'beginner', 'explained', 'ultimate guide'].some(k => t.includes(k))) return 'TOFU';
-  return 'MOFU';
+  for (const rule of funnel.rules) {
+    if (rule.keywords.some(k => k && t.includes(k.toLowerCase()))) return rule.stage;
+  }
+  return funnel.fallback;
+};
+
+// Stored rules are checked before use: detectBlogType runs on every dashboard render.
+const validateFunnelRules = (data) => {
+  if (!Array.isArray(data?.rules)) throw new Error('"rules" must be an array');
+  data.rules.forEach((r, i) => {
+    if (!FUNNEL_STAGES.includes(r?.stage)) throw new Error(`Rule ${i + 1}: "stage" must be one of ${FUNNEL_STAGES.join(', ')}`);
+    if (!Array.isArray(r.keywords) || r.keywords.some(k => typeof k !== 'string')) throw new Error(`Rule ${i + 1}: "keywords" must be an array of strings`);
+  });
+  if (!FUNNEL_STAGES.includes(data.fallback)) throw new Error(`"fallback" must be one of ${FUNNEL_STAGES.join(', ')}`);
+  return data;
+};
+
+// ── Review fields ───────────────────────────────
+// Editable fields as a fresh review starts them for a blog
+const blogReviewFields = (blog) => {
+  const title = blog.fieldData.name;
+  const fields = {
+    blogTitle: title,
+    metaTitle: blog.fieldData['meta-title'] || title,
+    metaDescription: '',
+    metaFieldName: 'post-summary',
+    metaSeoDescription: blog.fieldData['meta-description'] || blog.fieldData['excerpt'] || '',
+  };
+  for (const f of ['excerpt','post-summary','summary','meta-description','description','seo-description']) {
+    if (blog.fieldData[f]) { fields.metaDescription = blog.fieldData[f]; fields.metaFieldName = f; break; }
+  }
+  return fields;
+};
+
+// ── Dashboard filtering ─────────────────────────
+const DEFAULT_DASH_FILTERS = { query: '', funnel: 'all', gsc: 'all', draft: 'all', updated: 'all', sort: 'default', sortDir: 'desc' };
+const DAY_MS = 86400000;
+const UPDATED_WINDOWS = { recent: -30, '6m': 182, '12m': 365, '24m': 730 }; // days; negative = updated within
+
+const blogSlug = (blog) => blog.fieldData.slug || blog.fieldData.name?.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+const blogUpdatedAt = (blog) => Date.parse(blog.lastUpdated || blog.lastPublished || blog.createdOn || '') || 0;
+
+// Webflow item state: archived / draft / never published / live, and whether
+// a live item has staged edits newer than its last publish.
+const ITEM_STATUS_STYLES = {
+  archived: 'bg-gray-100 text-gray-600',
+  draft: 'bg-amber-100 text-amber-800',
+  unpublished: 'bg-amber-100 text-amber-800',
+  staged: 'bg-sky-100 text-sky-800',
+  live: 'bg-green-100 text-green-800',
+};
+const itemPublishStatus = (blog) => {
+  if (blog.isArchived) return { key: 'archived', label: 'Archived' };
+  if (blog.isDraft) return { key: 'draft', label: 'CMS draft' };
+  const published = Date.parse(blog.lastPublished || '') || 0;
+  if (!published) return { key: 'unpublished', label: 'Never published' };
+  if ((Date.parse(blog.lastUpdated || '') || 0) > published + 1000) return { key: 'staged', label: 'Live · staged changes' };
+  return { key: 'live', label: 'Live' };
+};
+
+// gscFor(blog) → GSC entry or null; hasDraft(blog) → bool; stageFor(blog) → funnel stage
+const filterAndSortBlogs = (blogs, f, { gscFor, hasDraft, stageFor }) => {
+  const q = f.query.trim().toLowerCase();
+  const now = Date.now();
+  const list = blogs.filter(blog => {
+    if (q && !(blog.fieldData.name || '').toLowerCase().includes(q) && !(blogSlug(blog) || '').includes(q)) return false;
+    if (f.funnel !== 'all' && stageFor(blog) !== f.funnel) return false;
+    if (f.gsc !== 'all' && !!gscFor(blog) !== (f.gsc === 'with')) return false;
+    if (f.draft !== 'all' && hasDraft(blog) !== (f.draft === 'with')) return false;
+    if (f.updated !== 'all') {
+      const days = UPDATED_WINDOWS[f.updated];
+      const age = (now - blogUpdatedAt(blog)) / DAY_MS;
+      if (days < 0 ? age > -days : age < days) return false;
+    }
+    return true;
+  });
+  if (f.sort === 'default') return list;
+  const value = {
+    clicks: b => gscFor(b)?.clicks ?? null,
+    impressions: b => gscFor(b)?.impressions ?? null,
+    position: b => gscFor(b)?.position ?? null,
+    updated: b => blogUpdatedAt(b) || null,
+    priority: b => refreshPriorityFor(b, gscFor(b)).score,
+  }[f.sort];
+  const dir = f.sortDir === 'asc' ? 1 : -1;
+  // blogs without a value always sink to the bottom, whichever direction
+  return list
+    .map(b => ({ b, v: value(b) }))
+    .sort((x, y) => (x.v === null) - (y.v === null) || (x.v - y.v) * dir)
+    .map(x => x.b);
+};
+
+// ── Refresh priority ────────────────────────────
+// Which posts to refresh next: GSC opportunity (striking-distance rankings,
+// impressions that don't turn into clicks), time since the last Webflow
+// update, and stale year mentions in the body. Every point has a reason.
+const EXPECTED_CTR = [0, 28, 15, 11, 8, 7, 5, 4, 3, 2.5, 2]; // % by position 1–10; ~1% beyond
+const expectedCtr = (position) => EXPECTED_CTR[Math.max(1, Math.round(position))] ?? 1;
+
+const scoreRefreshPriority = (blog, gsc, now = Date.now()) => {
+  const reasons = [];
+  const add = (points, label) => { if (points > 0) reasons.push({ points: Math.round(points), label }); };
+
+  if (gsc) {
+    if (gsc.position >= 4 && gsc.position <= 20) {
+      add(10 + Math.min(15, Math.log10(Math.max(1, gsc.impressions)) * 4), `Striking distance: page at position ${gsc.position.toFixed(1)}`);
+    }
+    const near = (gsc.keywords || []).filter(k => k.position >= 4 && k.position <= 20);
+    if (near.length) add(Math.min(15, near.length * 3), `${near.length} keyword${near.length === 1 ? '' : 's'} ranking 4–20 (${near.slice(0, 2).map(k => `"${k.query}"`).join(', ')})`);
+    const expected = expectedCtr(gsc.position);
+    if (gsc.impressions >= 500 && gsc.ctr < expected * 0.5) {
+      add(20 * (1 - gsc.ctr / expected), `Low CTR: ${gsc.ctr.toFixed(1)}% vs ~${expected}% expected at this position (${Math.round(gsc.impressions).toLocaleString()} impressions)`);
+    }
+  }
+
+  const updated = blogUpdatedAt(blog);
+  if (updated) {
+    const months = (now - updated) / (30 * DAY_MS);
+    if (months >= 6) add(Math.min(30, months * 1.25), `Not updated in ${Math.floor(months)} months`);
+  }
+
+  const year = new Date(now).getFullYear();
+  const isStale = y => y < year && y >= year - 10;
+  const text = (blog.fieldData['post-body'] || '').replace(/<[^>]+>/g, ' ');
+  const mentions = (text.match(/\b20\d{2}\b/g) || []).map(Number).filter(isStale);
+  if (mentions.length) {
+    const distinct = [...new Set(mentions)].sort();
+    add(Math.min(20, distinct.length * 5 + mentions.length), `Mentions ${distinct.join(', ')} (${mentions.length}× in body)`);
+  }
+  const titleYears = ((blog.fieldData.name || '').match(/\b20\d{2}\b/g) || []).map(Number).filter(isStale);
+  if (titleYears.length) add(15, `Title says ${titleYears.join(', ')}`);
+
+  reasons.sort((a, b) => b.points - a.points);
+  return { score: reasons.reduce((n, r) => n + r.points, 0), reasons };
+};
+
+// Parsing every post body on each render is too slow for big collections
+const priorityCache = new WeakMap(); // blog → { gsc, value }
+const refreshPriorityFor = (blog, gsc) => {
+  const hit = priorityCache.get(blog);
+  if (hit && hit.gsc === gsc) return hit.value;
+  const value = scoreRefreshPriority(blog, gsc);
+  priorityCache.set(blog, { gsc, value });
+  return value;
+};
+
+// ── GSC import ──────────────────────────────────
+// Accepts the Search Console XLSX (Queries + Pages sheets), the CSV pair,
+// the zipped CSV export, or one CSV carrying both a query and a page column.
+// Every source is read into tables: [{ name, cols, rows }].
+const GSC_QUERY_COLS = ['Top queries', 'Query', 'Queries'];
+const GSC_PAGE_COLS = ['Top pages', 'Page', 'Pages', 'Landing page', 'URL'];
+const GSC_METRICS = ['Clicks', 'Impressions', 'CTR', 'Position'];
+
+const findColumn = (cols, names) => cols.find(c => names.some(n => c.trim().toLowerCase() === n.toLowerCase())) || null;
+
+const sheetToTable = (name, ws) => {
+  const rows = XLSX.utils.sheet_to_json(ws, { defval: '' });
+  const cols = (XLSX.utils.sheet_to_json(ws, { header: 1 })[0] || []).map(c => String(c));
+  return { name, cols, rows };
+};
+
+const csvToTable = (name, text) => {
+  const wb = XLSX.read(text.replace(/^\uFEFF/, ''), { type: 'string' });
+  return sheetToTable(name, wb.Sheets[wb.SheetNames[0]]);
+};
+
+const readGscTables = async (files) => {
+  const tables = [];
+  for (const file of files) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    if (ext === 'csv') {
+      tables.push(csvToTable(file.name, await file.text()));
+    } else if (ext === 'zip') {
+      const zip = XLSX.CFB.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+      zip.FileIndex.forEach((entry, i) => {
+        const path = zip.FullPaths[i];
+        if (entry.type !== 2 || !/\.csv$/i.test(path)) return;
+        tables.push(csvToTable(path.split('/').pop(), new TextDecoder().decode(entry.content)));
+      });
+    } else if (ext === 'xlsx' || ext === 'xls') {
+      const wb = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+      wb.SheetNames.forEach(n => tables.push(sheetToTable(n, wb.Sheets[n])));
+    } else {
+      throw new Error(`${file.name}: expected .xlsx, .xls, .csv or .zip`);
+    }
+  }
+  return tables;
+};
+
+// GSC writes CTR as a fraction in XLSX and sometimes as "12.5%" in CSVs
+const parseCtr = (v) => (typeof v === 'string' && v.trim().endsWith('%') ? parseFloat(v) : parseFloat(v || 0) * 100) || 0;
+
+const gscImportError = (message, sheets) => Object.assign(new Error(message), { sheets });
+
+// tables → { queries: [{ query, clicks, impressions, ctr, position }], pages: [{ url, ...metrics }] }.
+// Throws with err.sheets = [{ name, expected, found }] when columns don't fit.
+const parseGscTables = (tables) => {
+  const kinds = tables.map(t => {
+    const q = findColumn(t.cols, GSC_QUERY_COLS), p = findColumn(t.cols, GSC_PAGE_COLS);
+    return { ...t, q, p, kind: q && p ? 'combined' : q ? 'queries' : p ? 'pages' : null };
+  });
+  const combined = kinds.find(t => t.kind === 'combined');
+  const qTable = kinds.find(t => t.kind === 'queries');
+  const pTable = kinds.find(t => t.kind === 'pages');
+  const used = combined ? [combined] : [qTable, pTable].filter(Boolean);
+  const expectedFor = (kind) => [
+    ...(kind !== 'pages' ? [GSC_QUERY_COLS.join(' / ')] : []),
+    ...(kind !== 'queries' ? [GSC_PAGE_COLS.join(' / ')] : []),
+    ...GSC_METRICS,
+  ];
+
+  if (!combined && (!qTable || !pTable)) {
+    throw gscImportError(
+      `Need a Queries and a Pages table, or one table with both columns — found ${qTable ? 'queries only' : pTable ? 'pages only' : 'neither'}`,
+      kinds.map(t => ({ name: t.name, expected: expectedFor(t.kind || (qTable ? 'pages' : 'queries')), found: t.cols }))
+    );
+  }
+  const missing = used.map(t => ({ name: t.name, expected: expectedFor(t.kind), found: t.cols, lacks: GSC_METRICS.filter(m => !findColumn(t.cols, [m])) }))
+    .filter(t => t.lacks.length);
+  if (missing.length) throw gscImportError(`Missing columns: ${missing.map(t => `${t.name} (${t.lacks.join(', ')})`).join('; ')}`, missing);
+
+  const metrics = (t, r) => {
+    const get = (m) => r[findColumn(t.cols, [m])];
+    return { clicks: parseFloat(get('Clicks') || 0), impressions: parseFloat(get('Impressions') || 0), ctr: parseCtr(get('CTR')), position: parseFloat(get('Position') || 0) };
+  };
+  if (!combined) {
+    return {
+      queries: qTable.rows.map(r => ({ query: String(r[qTable.q] || '').toLowerCase(), ...metrics(qTable, r) })).filter(q => q.query),
+      pages: pTable.rows.map(r => ({ url: String(r[pTable.p] || ''), ...metrics(pTable, r) })).filter(p => p.url),
+    };
+  }
+
+  // query × page rows → per-query and per-page totals (position impression-weighted)
+  const totals = (key) => {
+    const by = new Map();
+    combined.rows.forEach(r => {
+      const k = String(r[key] || '');
+      if (!k) return;
+      const m = metrics(combined, r);
+      const t = by.get(k) || { clicks: 0, impressions: 0, posWeight: 0, weight: 0 };
+      const w = m.impressions || 1;
+      t.clicks += m.clicks; t.impressions += m.impressions; t.posWeight += m.position * w; t.weight += w;
+      by.set(k, t);
+    });
+    return Array.from(by, ([k, t]) => ({ key: k, clicks: t.clicks, impressions: t.impressions, ctr: t.impressions ? (t.clicks / t.impressions) * 100 : 0, position: t.posWeight / t.weight }));
+  };
+  return {
+    queries: totals(combined.q).map(({ key, ...m }) => ({ query: key.toLowerCase(), ...m })),
+    pages: totals(combined.p).map(({ key, ...m }) => ({ url: key, ...m })),
+    pairs: combined.rows
+      .map(r => ({ query: String(r[combined.q] || '').toLowerCase(), url: String(r[combined.p] || ''), ...metrics(combined, r) }))
+      .filter(r => r.query && r.url),
+  };
+};
+
+// ── GSC matching ────────────────────────────────
+// Which queries belong to which blog. With a query × page export (`pairs`)
+// that's what GSC says; otherwise each query goes to the one page whose slug
+// shares most of its stemmed, non-stopword terms. Manual overrides apply last:
+// { assign: { query → slug }, exclude: { slug → [query] } }.
+const DEFAULT_GSC_SETTINGS = { pathPrefix: '/blogs/' };
+const DEFAULT_GSC_OVERRIDES = { assign: {}, exclude: {} };
+const GSC_KEYWORD_LIMIT = 10; // keywords kept per page, i.e. what Smart Check receives
+const GSC_STOPWORDS = new Set('a an and are as at be by can do does for from how i in is it its me my of on or our the this to vs what when where which who why will with you your'.split(' '));
+
+// Light suffix stripping, enough for "pricing"/"price", "tools"/"tool", "marketers"/"marketing"
+const stemWord = (w) => {
+  if (w.length <= 3) return w;
+  let s = w.endsWith('ies') ? w.slice(0, -3) + 'y' : w;
+  for (const suffix of ['ing', 'ers', 'er', 'ed', 's']) {
+    if (s.endsWith(suffix) && !s.endsWith('ss') && s.length - suffix.length >= 3) { s = s.slice(0, -suffix.length); break; }
+  }
+  return s.length > 3 && s.endsWith('e') ? s.slice(0, -1) : s;
+};
+const matchTerms = (text) => [...new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(w => w && !GSC_STOPWORDS.has(w)).map(stemWord))];
+
+// Share of the query's terms found in the slug; 0 unless most of them are there
+const scoreQueryForSlug = (queryTerms, slugTerms) => {
+  if (!queryTerms.length) return 0;
+  const hits = queryTerms.filter(t => slugTerms.has(t)).length;
+  const coverage = hits / queryTerms.length;
+  return coverage >= 0.6 && hits >= Math.min(2, queryTerms.length) ? coverage + hits * 0.1 : 0;
+};
+
+const gscPageSlug = (url, pathPrefix) => {
+  try {
+    const path = new URL(url).pathname;
+    if (pathPrefix && !path.startsWith(pathPrefix)) return '';
+    return path.split('/').filter(Boolean).pop() || '';
+  } catch { return ''; }
+};
+
+// raw = { queries, pages, pairs? } from parseGscTables. Returns { data: slug → entry, total }.
+const matchGscKeywords = (raw, settings = DEFAULT_GSC_SETTINGS, overrides = DEFAULT_GSC_OVERRIDES) => {
+  const pages = new Map(); // slug → { row, keywords: Map(query → keyword) }
+  raw.pages.forEach(row => {
+    const slug = gscPageSlug(row.url, settings.pathPrefix);
+    if (slug && !pages.has(slug)) pages.set(slug, { row, keywords: new Map() });
+  });
+  const queryRows = new Map(raw.queries.map(q => [q.query, q]));
+
+  if (raw.pairs?.length) {
+    raw.pairs.forEach(p => {
+      const { url, ...keyword } = p;
+      const page = pages.get(gscPageSlug(url, settings.pathPrefix));
+      if (page) page.keywords.set(p.query, { ...keyword, source: 'gsc' });
+    });
+  } else {
+    const slugTerms = [...pages.keys()].map(slug => [slug, new Set(matchTerms(slug))]);
+    raw.queries.forEach(q => {
+      const terms = matchTerms(q.query);
+      let best = null, bestScore = 0;
+      slugTerms.forEach(([slug, st]) => {
+        const score = scoreQueryForSlug(terms, st);
+        if (score > bestScore) { best = slug; bestScore = score; }
+      });
+      if (best) pages.get(best).keywords.set(q.query, { ...q, matchScore: Math.round(bestScore * 100) / 100, source: 'matched' });
+    });
+  }
+
+  Object.entries(overrides.assign || {}).forEach(([query, slug]) => {
+    const q = queryRows.get(query);
+    if (!q) return;
+    let pairRow = null;
+    pages.forEach((page, s) => { if (s === slug) pairRow = page.keywords.get(query) || null; page.keywords.delete(query); });
+    const page = pages.get(slug);
+    if (page) page.keywords.set(query, { ...(pairRow || q), source: 'manual' });
+  });
+  Object.entries(overrides.exclude || {}).forEach(([slug, queries]) => queries.forEach(q => pages.get(slug)?.keywords.delete(q)));
+
+  const rank = k => (k.source === 'manual' ? 0 : 1);
+  const data = {};
+  pages.forEach(({ row, keywords }, slug) => {
+    const top = [...keywords.values()]
+      .sort((a, b) => rank(a) - rank(b) || (b.matchScore || 0) - (a.matchScore || 0) || b.clicks - a.clicks || a.position - b.position)
+      .slice(0, GSC_KEYWORD_LIMIT);
+    if (!top.length) return;
+    data[slug] = { url: row.url, clicks: row.clicks, impressions: row.impressions, ctr: row.ctr, position: row.position, keywords: top, hasKeywords: true };
+  });
+  return { data, total: Object.keys(data).length };
+};
+
+// Pages (with their kept and excluded keywords) and still-unassigned queries for
+// the manual review screen, narrowed by the screen's two search boxes.
+const gscReviewRows = (snap, settings, overrides, { pageQuery, queryQuery }) => {
+  const slugs = [...new Set(snap.raw.pages.map(r => gscPageSlug(r.url, settings.pathPrefix)).filter(Boolean))];
+  const used = new Set(Object.values(snap.data).flatMap(e => e.keywords.map(k => k.query)));
+  const pq = pageQuery.trim().toLowerCase(), qq = queryQuery.trim().toLowerCase();
+  return {
+    slugs,
+    pages: slugs
+      .filter(slug => !pq || slug.includes(pq) || (snap.data[slug]?.keywords || []).some(k => k.query.includes(pq)))
+      .map(slug => ({ slug, keywords: snap.data[slug]?.keywords || [], excluded: overrides.exclude[slug] || [] }))
+      .sort((a, b) => b.keywords.length - a.keywords.length || a.slug.localeCompare(b.slug)),
+    unmatched: snap.raw.queries
+      .filter(q => !used.has(q.query) && (!qq || q.query.includes(qq)))
+      .sort((a, b) => b.impressions - a.impressions),
+  };
+};
+
+// Snapshots whose raw tables are loaded are re-matched on load and whenever the
+// settings or overrides change; older ones only have the stored `data`.
+const hydrateGscSnapshot = (snap, settings, overrides) => {
+  if (!snap.raw) return snap;
+  const { data, total } = matchGscKeywords(snap.raw, settings, overrides);
+  return { ...snap, data, totalMatches: total, blogsCount: total, source: snap.raw.pairs?.length ? 'gsc' : 'matched' };
+};
+// What localStorage keeps: metadata and matched `data`. The raw tables (a query ×
+// page export easily outgrows the quota) live in IndexedDB (GSC_RAW_STORE).
+const dehydrateGscSnapshot = (snap) => {
+  const { raw, ...rest } = snap;
+  return rest;
+};
+
+// ── GSC history ─────────────────────────────────
+// Each upload is kept as a dated snapshot { id, start, end, uploadedAt, data,
+// totalMatches, blogsCount }; start/end are the YYYY-MM-DD period the export covers.
+// Its raw tables are stored separately in IndexedDB and joined back as `raw`.
+const GSC_HISTORY_LIMIT = 12;
+const GSC_METRIC_KEYS = ['clicks', 'impressions', 'ctr', 'position'];
+
+const isoDay = (ts) => new Date(ts).toISOString().slice(0, 10);
+// GSC's default export window: the last 3 months
+const defaultGscPeriod = (now = Date.now()) => ({ start: isoDay(now - 90 * 86400000), end: isoDay(now) });
+const gscPeriodLabel = (snap) => `${snap.start} → ${snap.end}`;
+const sortGscHistory = (list) => [...list].sort((a, b) => a.end.localeCompare(b.end) || a.start.localeCompare(b.start));
+
+// Snapshot list with `snap` added, replacing an upload for the same period and
+// keeping the newest GSC_HISTORY_LIMIT periods.
+const addGscSnapshot = (history, snap) =>
+  sortGscHistory([...history.filter(h => h.start !== snap.start || h.end !== snap.end), snap]).slice(-GSC_HISTORY_LIMIT);
+
+// { before, after, delta } per metric; position delta < 0 means it moved up
+const gscMetricDeltas = (before, after) => Object.fromEntries(GSC_METRIC_KEYS.map(k => {
+  const b = before ? before[k] : null, a = after ? after[k] : null;
+  return [k, { before: b, after: a, delta: b != null && a != null ? a - b : null }];
+}));
+
+// Page and per-keyword deltas for one blog between two snapshots.
+const compareGscSnapshots = (before, after, slug) => {
+  const b = before?.data?.[slug] || null, a = after?.data?.[slug] || null;
+  const queries = new Map();
+  (b?.keywords || []).forEach(k => queries.set(k.query, { before: k, after: null }));
+  (a?.keywords || []).forEach(k => queries.set(k.query, { ...(queries.get(k.query) || { before: null }), after: k }));
+  const keywords = Array.from(queries, ([query, { before: kb, after: ka }]) => ({ query, ...gscMetricDeltas(kb, ka) }))
+    .sort((x, y) => (y.clicks.after ?? y.clicks.before ?? 0) - (x.clicks.after ?? x.clicks.before ?? 0));
+  return { page: b || a ? gscMetricDeltas(b, a) : null, keywords };
+};
+
+const formatGscMetric = (key, v) => (v == null ? '—' :
+  key === 'ctr' ? `${v.toFixed(1)}%` : key === 'position' ? v.toFixed(1) : Math.round(v).toLocaleString());
+
+// { text, tone } for a delta cell; a lower position is an improvement
+const formatGscDelta = (key, delta) => {
+  if (delta == null) return { text: '', tone: '' };
+  const better = key === 'position' ? delta < 0 : delta > 0;
+  const rounded = key === 'ctr' || key === 'position' ? Math.abs(delta).toFixed(1) : Math.round(Math.abs(delta)).toLocaleString();
+  if (Number(rounded.replace(/,/g, '')) === 0) return { text: '±0', tone: 'text-gray-400' };
+  return { text: `${delta > 0 ? '+' : '−'}${rounded}${key === 'ctr' ? ' pts' : ''}`, tone: better ? 'text-green-700' : 'text-red-600' };
+};
+
+// Latest period that ended on/before the publish day vs. latest that started on/after it.
+const gscPublishPeriods = (history, publishedAt) => {
+  const day = isoDay(publishedAt);
+  const sorted = sortGscHistory(history);
+  return {
+    before: [...sorted].reverse().find(h => h.end <= day) || null,
+    after: [...sorted].reverse().find(h => h.start >= day) || null,
+  };
+};
+
+// ── GSC opportunities ───────────────────────────
+// Flat rows over gscData.data — one per page, or one per matched keyword —
+// filtered by metric ranges. Empty-string bounds mean "no bound".
+const DEFAULT_GSC_EXPLORER = { rows: 'keywords', query: '', minImpressions: '', minClicks: '', minPosition: '', maxPosition: '', lowCtr: false, sort: 'impressions', sortDir: 'desc' };
+const GSC_PRESETS = [
+  { key: 'striking', label: 'Position 8–20, >1k impressions', filters: { minPosition: 8, maxPosition: 20, minImpressions: 1000, lowCtr: false, sort: 'impressions', sortDir: 'desc' } },
+  { key: 'low-ctr', label: 'CTR below expected for position', filters: { minPosition: '', maxPosition: '', minImpressions: 200, lowCtr: true, sort: 'ctrGap', sortDir: 'desc' } },
+  { key: 'almost-top', label: 'Position 4–7', filters: { minPosition: 4, maxPosition: 7, minImpressions: '', lowCtr: false, sort: 'impressions', sortDir: 'desc' } },
+  { key: 'page-two', label: 'Page two (11–20)', filters: { minPosition: 11, maxPosition: 20, minImpressions: '', lowCtr: false, sort: 'impressions', sortDir: 'desc' } },
+];
+// CTR under half of expectedCtr() at the row's position, as in the refresh score
+const LOW_CTR_RATIO = 0.5;
+
+const gscExplorerRows = (data, mode) => Object.entries(data || {}).flatMap(([slug, page]) => {
+  const rows = mode === 'pages'
+    ? [{ slug, url: page.url, query: null, keywordCount: (page.keywords || []).length, ...page }]
+    : (page.keywords || []).map(k => ({ slug, url: page.url, ...k }));
+  return rows.map(r => {
+    const expected = expectedCtr(r.position);
+    return { slug: r.slug, url: r.url, query: r.query, keywordCount: r.keywordCount, clicks: r.clicks, impressions: r.impressions, ctr: r.ctr, position: r.position, expectedCtr: expected, ctrGap: expected - r.ctr };
+  });
+});
+
+const filterGscRows = (rows, f) => {
+  const q = f.query.trim().toLowerCase();
+  const num = (v) => (v === '' || v == null ? null : Number(v));
+  const [minImp, minClicks, minPos, maxPos] = [f.minImpressions, f.minClicks, f.minPosition, f.maxPosition].map(num);
+  const dir = f.sortDir === 'asc' ? 1 : -1;
+  return rows.filter(r => {
+    if (q && !r.slug.includes(q) && !(r.query || '').includes(q)) return false;
+    if (minImp != null && r.impressions < minImp) return false;
+    if (minClicks != null && r.clicks < minClicks) return false;
+    if (minPos != null && r.position < minPos) return false;
+    if (maxPos != null && r.position > maxPos) return false;
+    if (f.lowCtr && r.ctr >= r.expectedCtr * LOW_CTR_RATIO) return false;
+    return true;
+  }).sort((a, b) => (a[f.sort] - b[f.sort]) * dir);
 };
 
 // ── Brand confusion detection ───────────────────
+// Seed for the editable brand registry (Brands screen). The registry the user
+// edits lives in localStorage; this list is only the reset-to-defaults value.
 const KNOWN_BRAND_CONFUSIONS = [
   {
     trigger: 'copilot',
@@ -240,15 +727,55 @@ const KNOWN_BRAND_CONFUSIONS = [
   }
 ];
 
-const detectBrandContext = (title, content) => {
+const EMPTY_BRAND_VARIANT = { name: '', domain: '', description: '', signals: [], antiSignals: [] };
+
+// Normalise a registry for matching/export: lowercase, trimmed, no blanks.
+// Signals are edited one per line, so blanks appear while typing.
+const cleanBrandRegistry = (registry) => registry
+  .map(c => ({
+    trigger: (c.trigger || '').trim().toLowerCase(),
+    variants: (c.variants || []).map(v => ({
+      name: (v.name || '').trim(),
+      domain: (v.domain || '').trim() || null,
+      description: (v.description || '').trim(),
+      signals: (v.signals || []).map(x => x.trim().toLowerCase()).filter(Boolean),
+      antiSignals: (v.antiSignals || []).map(x => x.trim().toLowerCase()).filter(Boolean),
+    })).filter(v => v.name),
+  }))
+  .filter(c => c.trigger);
+
+// Imports must be complete; the stored registry may hold the blank rows of an
+// edit in progress (allowBlank), but every field still has to be the right type.
+const validateBrandRegistry = (data, { allowBlank = false } = {}) => {
+  if (!Array.isArray(data)) throw new Error('Expected a JSON array of triggers');
+  data.forEach((c, i) => {
+    if (typeof c?.trigger !== 'string' || (!allowBlank && !c.trigger.trim())) throw new Error(`Entry ${i + 1}: "trigger" must be a non-empty string`);
+    if (!Array.isArray(c.variants)) throw new Error(`"${c.trigger}": "variants" must be an array`);
+    c.variants.forEach((v, j) => {
+      if (typeof v?.name !== 'string' || (!allowBlank && !v.name.trim())) throw new Error(`"${c.trigger}" variant ${j + 1}: "name" is required`);
+      if (v.domain != null && typeof v.domain !== 'string') throw new Error(`"${c.trigger}" / ${v.name}: "domain" must be a string or null`);
+      if (v.description !== undefined && typeof v.description !== 'string') throw new Error(`"${c.trigger}" / ${v.name}: "description" must be a string`);
+      for (const k of ['signals', 'antiSignals']) {
+        if (v[k] !== undefined && (!Array.isArray(v[k]) || v[k].some(x => typeof x !== 'string'))) throw new Error(`"${c.trigger}" / ${v.name}: "${k}" must be an array of strings`);
+      }
+    });
+  });
+  return data;
+};
+
+// Scores every registry trigger found in the blog and builds the hints the
+// Smart Check request carries. `triggers` is what the Brands screen's
+// "test against this blog" shows.
+const analyzeBrandContext = (title, content, registry = KNOWN_BRAND_CONFUSIONS) => {
   const hints = [];
+  const triggers = [];
   const t = (title || '').toLowerCase();
   const c = (content || '').toLowerCase();
   const combined = t + ' ' + c;
 
-  for (const confusion of KNOWN_BRAND_CONFUSIONS) {
+  for (const confusion of cleanBrandRegistry(registry)) {
     if (!combined.includes(confusion.trigger)) continue;
-    if (confusion.variants.length < 2) continue;
+    if (confusion.variants.length < 2) { triggers.push({ trigger: confusion.trigger, scored: [], hint: null }); continue; }
 
     const scored = confusion.variants.map(v => {
       let score = 0;
@@ -266,17 +793,16 @@ const detectBrandContext = (title, content) => {
     const best = scored[0];
     const second = scored[1];
 
+    let hint;
     if (best.net > 0 && (second.net <= 0 || best.net >= second.net + 3)) {
       const others = scored.filter(s => s !== best).map(s => s.name).join(', ');
-      hints.push(
-        `BRAND DISAMBIGUATION: "${confusion.trigger}" in this blog refers to ${best.name}${best.domain ? ` (${best.domain})` : ''} — ${best.description}. It is NOT ${others}. Do NOT include any information about ${others}. All facts, pricing, features, and comparisons must be about ${best.name}.`
-      );
+      hint = `BRAND DISAMBIGUATION: "${confusion.trigger}" in this blog refers to ${best.name}${best.domain ? ` (${best.domain})` : ''} — ${best.description}. It is NOT ${others}. Do NOT include any information about ${others}. All facts, pricing, features, and comparisons must be about ${best.name}.`;
     } else {
       const variantList = scored.map(s => `${s.name}${s.domain ? ` (${s.domain})` : ''}: ${s.description}`).join('; ');
-      hints.push(
-        `BRAND DISAMBIGUATION: The word "${confusion.trigger}" appears in this blog and could refer to multiple products: ${variantList}. READ THE FULL BLOG CAREFULLY to determine which product is being discussed. Ensure ALL facts, pricing, and features match the correct product. Do NOT mix up these different products.`
-      );
+      hint = `BRAND DISAMBIGUATION: The word "${confusion.trigger}" appears in this blog and could refer to multiple products: ${variantList}. READ THE FULL BLOG CAREFULLY to determine which product is being discussed. Ensure ALL facts, pricing, and features match the correct product. Do NOT mix up these different products.`;
     }
+    hints.push(hint);
+    triggers.push({ trigger: confusion.trigger, scored, hint });
   }
 
   const titleMatch = (title || '').match(/^([\w][\w .&-]{1,30}?)\s+(review|vs\.?|versus|pricing|alternative|comparison|competitors)/i);
@@ -298,7 +824,71 @@ const detectBrandContext = (title, content) => {
     }
   }
 
-  return hints;
+  return { hints, triggers };
+};
+
+const detectBrandContext = (title, content, registry) => analyzeBrandContext(title, content, registry).hints;
+
+// ── Smart Check streaming ───────────────────────
+// /api/smartcheck may answer with NDJSON or SSE instead of one JSON body.
+// Each event is JSON: { type: 'progress', stage, message?, searches?, claims? }
+// while working, then { type: 'result', result } carrying the same body the
+// plain JSON response has, or { type: 'error', error }.
+const SMART_CHECK_STAGES = [
+  { key: 'searching', label: 'Searching' },
+  { key: 'auditing', label: 'Auditing claims' },
+  { key: 'rewriting', label: 'Rewriting' },
+  { key: 'verifying', label: 'Verifying' },
+];
+const SMART_CHECK_TIMEOUT = 300000; // ms without a response (or, streaming, without an event)
+
+const readSmartCheckStream = async (response, contentType, onEvent) => {
+  const sse = contentType.includes('text/event-stream');
+  const parse = (chunk) => {
+    if (!sse) return chunk.trim() ? JSON.parse(chunk) : null;
+    let event = null;
+    const data = [];
+    chunk.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (!data.length) return null;
+    const payload = JSON.parse(data.join('\n'));
+    return event && !payload.type ? { ...payload, type: event } : payload;
+  };
+
+  let final = null;
+  const handle = (chunk) => {
+    const ev = parse(chunk);
+    if (!ev) return;
+    if (ev.type === 'error') throw new Error(ev.error || 'Analysis failed');
+    if (ev.type === 'result') final = ev.result ?? ev.data;
+    else onEvent(ev);
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const sep = sse ? /\r?\n\r?\n/ : /\r?\n/;
+  let buf = '';
+  let drained = false;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      const chunks = buf.split(sep);
+      buf = chunks.pop();
+      chunks.forEach(handle);
+    }
+    drained = true;
+  } finally {
+    // an error event or bad chunk ends the read early; stop the backend streaming
+    if (!drained) reader.cancel().catch(() => {});
+  }
+  buf += decoder.decode();
+  if (buf.trim()) handle(buf);
+  if (!final) throw new Error('Stream ended without a result');
+  return final;
 };
 
 // ── TL;DR detection ─────────────────────────────
@@ -315,67 +905,476 @@ const hasTldr = (html) => {
 };
 
 // ── Change highlighting ─────────────────────────
-const createHighlightedHTML = (original, updated) => {
-  const norm = (html) => html.replace(/<[^>]+>/g, ' ').replace(/&[a-z]+;/gi, ' ').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+// Content is split into top-level blocks (the same split the block editor
+// uses) and aligned block-by-block; changed blocks are then diffed word by
+// word so a one-token fact fix like "$49/mo" → "$59/mo" is still visible.
+const changeText = (html) => (html || '').replace(/<[^>]+>/g, ' ').replace(/&[a-z]+;/gi, ' ').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const toTopLevelBlocks = (html) => {
+  const doc = new DOMParser().parseFromString(`<div id="__co_split">${html || ''}</div>`, 'text/html');
+  const blocks = [];
+  Array.from(doc.getElementById('__co_split').childNodes).forEach(node => {
+    if (node.nodeType === 3) {
+      const t = node.textContent.trim();
+      if (!t) return;
+      const p = doc.createElement('p'); p.textContent = t;
+      blocks.push(p.outerHTML);
+    } else if (node.nodeType === 1) {
+      blocks.push(node.outerHTML);
+    }
+  });
+  return blocks;
+};
 
-  const toBlocks = (html) => {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(`<div>${html}</div>`, 'text/html');
-    const blocks = [];
-    const walk = (node) => {
-      if (node.nodeType === 1) {
-        const tag = node.tagName;
-        if (['P','DIV','H1','H2','H3','H4','H5','H6','LI','BLOCKQUOTE','SECTION','ARTICLE','TABLE','IFRAME','EMBED','SCRIPT','IMG','FIGURE','VIDEO','AUDIO','UL','OL'].includes(tag)) {
-          blocks.push(node.outerHTML);
-        } else {
-          Array.from(node.childNodes).forEach(walk);
+// LCS alignment of two key arrays → [{ op: '=' | '-' | '+', i, j }].
+// Deletions are emitted before insertions inside a differing run.
+const diffSequences = (a, b) => {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) ops.push({ op: '=', i: i++, j: j++ });
+    else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({ op: '-', i: i++ });
+    else ops.push({ op: '+', j: j++ });
+  }
+  return ops;
+};
+
+const blockKey = (html) => html.replace(/\s+/g, ' ').trim();
+const DIFF_TOKEN_LIMIT = 4000000; // token-LCS cells; larger blocks diff as a whole
+const EMBED_RE = /<(iframe|video|embed|object|script|img|audio|form)[\s>]/i;
+
+// Word diff of two HTML fragments. Tags are kept as single tokens so markup
+// survives: deleted tags only appear on the original side, inserted tags on
+// the updated side. Returns the three renderings the preview needs.
+const diffWords = (orig, upd) => {
+  const tokenize = (html) => html.match(/<[^>]+>|&#?\w+;|[\w$€£%.,'’/-]+|\s+|[^\s<&\w]/g) || [];
+  const ta = tokenize(orig), tb = tokenize(upd);
+  if (ta.length * tb.length > DIFF_TOKEN_LIMIT) {
+    return { inline: `<del class="co-del">${orig}</del><ins class="co-ins">${upd}</ins>`, left: `<del class="co-del">${orig}</del>`, right: `<ins class="co-ins">${upd}</ins>`, changed: true };
+  }
+  const out = { inline: '', left: '', right: '', changed: false };
+  let open = null; // 'del' | 'ins' run currently open in inline output
+  const close = () => {
+    if (open === 'del') { out.inline += '</del>'; out.left += '</del>'; }
+    if (open === 'ins') { out.inline += '</ins>'; out.right += '</ins>'; }
+    open = null;
+  };
+  for (const { op, i, j } of diffSequences(ta, tb)) {
+    const tok = op === '-' ? ta[i] : tb[j];
+    const isTag = tok[0] === '<';
+    if (op === '=') { close(); out.inline += tok; out.left += tok; out.right += tok; continue; }
+    out.changed = true;
+    if (isTag) {
+      close();
+      if (op === '-') out.left += tok;
+      else { out.inline += tok; out.right += tok; }
+      continue;
+    }
+    const kind = op === '-' ? 'del' : 'ins';
+    if (open !== kind) {
+      close();
+      out.inline += `<${kind} class="co-${kind}">`;
+      if (kind === 'del') out.left += '<del class="co-del">'; else out.right += '<ins class="co-ins">';
+      open = kind;
+    }
+    out.inline += tok;
+    if (kind === 'del') out.left += tok; else out.right += tok;
+  }
+  close();
+  return out;
+};
+
+// Tables diff row by row, cell by cell, and are rebuilt through
+// buildTableHTML so the preview markup stays a valid table.
+const diffTables = (ot, ut) => {
+  const rowKey = r => r.cells.map(c => c.html).join('\u0001');
+  const mark = (cell, kind) => ({ ...cell, attrs: `${cell.attrs} data-co-diff="${kind}"`, html: `<${kind} class="co-${kind}">${cell.html}</${kind}>` });
+  const rows = { inline: [], left: [], right: [] };
+  let changed = false;
+  let dels = [], ins = [];
+  const flush = () => {
+    const n = Math.max(dels.length, ins.length);
+    for (let k = 0; k < n; k++) {
+      const o = dels[k], u = ins[k];
+      if (o && u) {
+        const cells = { inline: [], left: [], right: [] };
+        for (let c = 0; c < Math.max(o.cells.length, u.cells.length); c++) {
+          const oc = o.cells[c], uc = u.cells[c];
+          if (oc && uc) {
+            const d = diffWords(oc.html, uc.html);
+            const attrs = d.changed ? `${uc.attrs} data-co-diff="changed"` : uc.attrs;
+            cells.inline.push({ ...uc, attrs, html: d.inline });
+            cells.left.push({ ...oc, html: d.left });
+            cells.right.push({ ...uc, attrs, html: d.right });
+          } else if (uc) {
+            cells.inline.push(mark(uc, 'ins')); cells.right.push(mark(uc, 'ins'));
+          } else {
+            cells.inline.push(mark(oc, 'del')); cells.left.push(mark(oc, 'del'));
+          }
         }
-      } else if (node.nodeType === 3 && node.textContent.trim()) {
-        blocks.push(node.textContent);
+        rows.inline.push({ cells: cells.inline }); rows.left.push({ cells: cells.left }); rows.right.push({ cells: cells.right });
+      } else if (u) {
+        const r = { cells: u.cells.map(c => mark(c, 'ins')) };
+        rows.inline.push(r); rows.right.push(r);
+      } else {
+        const r = { cells: o.cells.map(c => mark(c, 'del')) };
+        rows.inline.push(r); rows.left.push(r);
       }
-    };
-    Array.from(doc.body.firstChild.childNodes).forEach(walk);
-    return blocks;
+    }
+    dels = []; ins = [];
+  };
+  for (const { op, i, j } of diffSequences(ot.rows.map(rowKey), ut.rows.map(rowKey))) {
+    if (op === '=') { flush(); rows.inline.push(ut.rows[j]); rows.left.push(ot.rows[i]); rows.right.push(ut.rows[j]); continue; }
+    changed = true;
+    if (op === '-') dels.push(ot.rows[i]); else ins.push(ut.rows[j]);
+  }
+  flush();
+  return {
+    inline: buildTableHTML({ ...ut, rows: rows.inline }),
+    left: buildTableHTML({ ...ot, rows: rows.left }),
+    right: buildTableHTML({ ...ut, rows: rows.right }),
+    changed,
+  };
+};
+
+// Embeds/images can't be word-diffed meaningfully: show the updated embed
+// with a note of which sources changed.
+const diffEmbeds = (orig, upd) => {
+  const sources = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return Array.from(doc.querySelectorAll('[src],[data-src]')).map(el => el.getAttribute('src') || el.getAttribute('data-src'));
+  };
+  const os = sources(orig), us = sources(upd);
+  const removed = os.filter(s => !us.includes(s)), added = us.filter(s => !os.includes(s));
+  const note = removed.length || added.length
+    ? `${removed.map(s => `<del class="co-del">${escapeHTML(s)}</del>`).join(' ')} → ${added.map(s => `<ins class="co-ins">${escapeHTML(s)}</ins>`).join(' ')}`
+    : 'markup changed';
+  const label = `<div class="co-diff-note">Embed changed: ${note}</div>`;
+  return { inline: label + upd, left: orig, right: label + upd, changed: true };
+};
+
+const diffBlockPair = (orig, upd) => {
+  if (/<table[\s>]/i.test(orig) && /<table[\s>]/i.test(upd)) {
+    const ot = parseTableHTML(orig), ut = parseTableHTML(upd);
+    if (ot && ut) return diffTables(ot, ut);
+  }
+  if (EMBED_RE.test(orig) || EMBED_RE.test(upd)) {
+    const textOnly = changeText(orig) !== changeText(upd);
+    if (!textOnly) return diffEmbeds(orig, upd);
+  }
+  return diffWords(orig, upd);
+};
+
+// Two differing blocks are diffed against each other (rather than shown as
+// remove + add) when they are recognisably the same block.
+const blocksComparable = (o, u) => {
+  const isTable = (h) => /<table[\s>]/i.test(h);
+  if (isTable(o) || isTable(u)) return isTable(o) && isTable(u);
+  const embedTag = (h) => (h.match(EMBED_RE) || [])[1]?.toLowerCase();
+  const et = embedTag(o), eu = embedTag(u);
+  if ((et || eu) && !changeText(o) && !changeText(u)) return et === eu;
+  const wo = new Set(changeText(o).split(' ').filter(Boolean));
+  const wu = new Set(changeText(u).split(' ').filter(Boolean));
+  if (!wo.size || !wu.size) return false;
+  let shared = 0; wu.forEach(w => { if (wo.has(w)) shared++; });
+  return shared / (wo.size + wu.size - shared) >= 0.3;
+};
+
+// Align two block lists into units: { same } for identical blocks, and
+// { orig, upd } for changes, where a comparable removed/added pair shares a
+// unit and a lone removal or addition leaves the other side null. Both
+// sides keep their original order.
+const alignBlocks = (original, updated) => {
+  const a = toTopLevelBlocks(original), b = toTopLevelBlocks(updated);
+  const units = [];
+  let dels = [], ins = [];
+  const flush = () => {
+    let k = 0;
+    for (const u of ins) {
+      let m = -1;
+      for (let x = k; x < dels.length; x++) if (blocksComparable(dels[x], u)) { m = x; break; }
+      if (m === -1) { units.push({ orig: null, upd: u }); continue; }
+      for (; k < m; k++) units.push({ orig: dels[k], upd: null });
+      units.push({ orig: dels[k++], upd: u });
+    }
+    for (; k < dels.length; k++) units.push({ orig: dels[k], upd: null });
+    dels = []; ins = [];
   };
+  for (const { op, i, j } of diffSequences(a.map(blockKey), b.map(blockKey))) {
+    if (op === '=') { flush(); units.push({ same: b[j] }); }
+    else if (op === '-') dels.push(a[i]);
+    else ins.push(b[j]);
+  }
+  flush();
+  return units;
+};
 
-  const origBlocks = toBlocks(original);
-  const updBlocks = toBlocks(updated);
-  const origMap = new Map();
-  origBlocks.forEach(b => {
-    const n = norm(b);
-    if (n.length > 10) { if (!origMap.has(n)) origMap.set(n, []); origMap.get(n).push({ html: b, used: false }); }
+const createDiffView = (original, updated) => {
+  const rows = alignBlocks(original, updated).map(unit => { // { kind, inline, left, right }
+    if ('same' in unit) return { kind: 'same', inline: unit.same, left: unit.same, right: unit.same };
+    const { orig, upd } = unit;
+    if (!orig) return { kind: 'added', inline: `<div class="co-diff-added">${upd}</div>`, left: '', right: `<div class="co-diff-added">${upd}</div>` };
+    if (!upd) return { kind: 'removed', inline: `<div class="co-diff-removed">${orig}</div>`, left: `<div class="co-diff-removed">${orig}</div>`, right: '' };
+    const d = diffBlockPair(orig, upd);
+    if (!d.changed) return { kind: 'same', inline: upd, left: orig, right: upd };
+    return { kind: 'changed', inline: `<div class="co-diff-changed">${d.inline}</div>`, left: `<div class="co-diff-changed">${d.left}</div>`, right: `<div class="co-diff-changed">${d.right}</div>` };
   });
+  return {
+    html: rows.map(r => r.inline).join('\n'),
+    splitHtml: rows.map(r => `<div class="co-diff-row${r.kind === 'same' ? '' : ' co-diff-row-changed'}"><div>${r.left}</div><div>${r.right}</div></div>`).join('\n'),
+    changesCount: rows.filter(r => r.kind !== 'same').length,
+  };
+};
 
-  let html = '', changes = 0;
-  for (const block of updBlocks) {
-    const n = norm(block);
-    const isSpecial = /<(table|iframe|embed|script|img|figure|video|audio|canvas|object|svg|form)/i.test(block) || /class="[^"]*w(idget|-embed|-widget)[^"]*"/i.test(block);
-    if (isSpecial) { html += block; continue; }
-
-    const match = origMap.get(n);
-    if (match) { const m = match.find(x => !x.used); if (m) { m.used = true; html += block; continue; } }
-
-    if (n.length > 20) {
-      const words = new Set(n.split(/\s+/).filter(w => w.length > 3));
-      let found = false;
-      for (const [on, obs] of origMap) {
-        const unused = obs.find(x => !x.used);
-        if (!unused) continue;
-        const ow = new Set(on.split(/\s+/).filter(w => w.length > 3));
-        if (!ow.size) continue;
-        let shared = 0; words.forEach(w => { if (ow.has(w)) shared++; });
-        if (shared / Math.max(words.size, ow.size) >= 0.92) { unused.used = true; found = true; break; }
-        if ([...words].filter(w => !ow.has(w)).length < 4) { unused.used = true; found = true; break; }
-      }
-      if (!found) {
-        html += `<div style="background-color:#e0f2fe;padding:8px;margin:8px 0;border-left:3px solid #0ea5e9;border-radius:4px;">${block}</div>`;
-        changes++;
-        continue;
-      }
+// ── Per-change accept/reject ────────────────────
+// Uses the same block alignment as the diff view: every changed unit is a
+// hunk, and changelog entries are attributed to hunks by their from/to text,
+// so rejecting an entry puts that hunk's original block back.
+const planChangeReview = (original, updated, changelog) => {
+  const segments = alignBlocks(original, updated).map(unit => ('same' in unit ? unit : {
+    orig: unit.orig ? [unit.orig] : [], upd: unit.upd ? [unit.upd] : [], entries: [],
+  }));
+
+  const hunks = segments.filter(s => !('same' in s));
+  const covers = (needle, hay) => {
+    const n = changeText(needle);
+    if (!n) return 0;
+    if (hay.includes(n)) return 2;
+    const words = n.split(' ').filter(w => w.length > 3);
+    if (!words.length) return 0;
+    const found = words.filter(w => hay.includes(w)).length;
+    return found / words.length >= 0.6 ? 1 : 0;
+  };
+
+  // an entry owns the hunk its `to` text landed in and the hunk its `from`
+  // text came from — a rewrite may be split into a removed and an added unit
+  const best = (needle, side) => {
+    let hit = null, top = 0;
+    for (const h of hunks) {
+      const score = covers(needle, changeText(h[side].join(' ')));
+      if (score > top) { hit = h; top = score; }
+    }
+    return hit;
+  };
+  const located = (changelog || []).map((entry, idx) => {
+    const owners = new Set([best(entry.to, 'upd'), best(entry.from, 'orig')].filter(Boolean));
+    owners.forEach(h => h.entries.push(idx));
+    return owners.size > 0;
+  });
+
+  return { segments, changelog: changelog || [], located, unlistedCount: hunks.filter(h => !h.entries.length).length };
+};
+
+// Rebuild content from the plan: unchanged blocks pass through, each hunk
+// takes its updated side only when the entries attributed to it are accepted.
+// A partially accepted hunk falls back to the original blocks with the
+// accepted entries' from → to swapped in where the text (or its HTML-escaped
+// form) is found verbatim. Entries that can't be located come back in `missed`.
+const applyChangeReview = (plan, accepted, keepUnlisted) => {
+  const parts = [];
+  const missed = [];
+  for (const seg of plan.segments) {
+    if ('same' in seg) { parts.push(seg.same); continue; }
+    if (!seg.entries.length) { parts.push(...(keepUnlisted ? seg.upd : seg.orig)); continue; }
+    const on = seg.entries.filter(idx => accepted[idx]);
+    if (on.length === seg.entries.length) { parts.push(...seg.upd); continue; }
+    if (!on.length) { parts.push(...seg.orig); continue; }
+    let html = seg.orig.join('\n');
+    for (const idx of on) {
+      const { from, to } = plan.changelog[idx] || {};
+      const swap = from && to != null && [[from, to], [escapeHTML(from), escapeHTML(to)]].find(([f]) => html.includes(f));
+      if (swap) html = html.replace(swap[0], () => swap[1]);
+      else missed.push(idx);
     }
-    html += block;
+    parts.push(html);
   }
-  return { html, changesCount: changes };
+  return { html: parts.join('\n'), missed };
+};
+
+// ── Workspace profiles ──────────────────────────
+// One profile per Webflow site/collection. Each has its own localStorage keys
+// (PROFILE_KEYS) and its own IndexedDB database, so drafts, versions, GSC data
+// and the brand registry never cross sites. The 'default' profile keeps the
+// original un-prefixed names, so existing data becomes the default profile.
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+const PROFILE_KEYS = ['config', 'gsc_history', 'gsc_settings', 'gsc_overrides', 'brand_registry', 'funnel_rules', 'funnel_overrides'];
+const EMPTY_CONFIG = { anthropicKey: '', braveKey: '', webflowKey: '', collectionId: '', siteId: '', backendUrl: '' };
+
+const profileStorageKey = (profileId, key) => (profileId === DEFAULT_PROFILE.id ? `contentops_${key}` : `contentops_${profileId}_${key}`);
+const profileDBName = (profileId) => (profileId === DEFAULT_PROFILE.id ? 'contentops' : `contentops_${profileId}`);
+
+const loadProfiles = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem('contentops_profiles') || 'null');
+    if (Array.isArray(list) && list.some(p => p.id === DEFAULT_PROFILE.id)) return list;
+  } catch {}
+  return [DEFAULT_PROFILE];
+};
+
+// ── Backend health ──────────────────────────────
+// GET /api/health → { version, capabilities } where capabilities is a list of
+// names or a { name: bool } map. Once a backend advertises capabilities,
+// anything it leaves out is treated as unsupported; a backend without the
+// endpoint (404) reports nothing and every feature is tried as before.
+const BACKEND_CAPABILITIES = {
+  streaming: 'Smart Check progress streaming',
+  assets: 'Image upload to Webflow Assets',
+  draftMode: 'Stage as CMS draft',
+  liveItem: 'Fetch live item before publish',
+};
+
+const normalizeCapabilities = (caps) => {
+  if (Array.isArray(caps)) return Object.fromEntries(caps.map(c => [c, true]));
+  if (caps && typeof caps === 'object') return Object.fromEntries(Object.entries(caps).map(([k, v]) => [k, !!v]));
+  return null;
+};
+
+// true / false when the backend says, null when it doesn't
+const backendSupports = (health, capability) => (health?.capabilities ? !!health.capabilities[capability] : null);
+
+// Two sequential hits: the first includes any cold start of a sleeping host,
+// the second is the warm round trip. Throws when the host is unreachable.
+const probeBackend = async (url, timeoutMs = 60000) => {
+  const hit = async () => {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    const started = performance.now();
+    try {
+      const r = await fetch(`${url}/api/health`, { signal: ctrl.signal, cache: 'no-store' });
+      const ms = Math.round(performance.now() - started);
+      const body = await r.json().catch(() => null);
+      return { ok: r.ok, status: r.status, ms, body };
+    } finally { clearTimeout(t); }
+  };
+  const cold = await hit();
+  const warm = await hit();
+  return {
+    reachable: true,
+    status: cold.ok ? 'ok' : cold.status === 404 ? 'no-health' : 'error',
+    httpStatus: cold.status,
+    coldMs: cold.ms,
+    warmMs: warm.ms,
+    version: cold.ok ? cold.body?.version || null : null,
+    capabilities: cold.ok ? normalizeCapabilities(cold.body?.capabilities) : null,
+  };
+};
+
+// ── Credential vault ────────────────────────────
+// API keys are stored AES-GCM encrypted under a key derived (PBKDF2) from the
+// user's passphrase. One vault — { salt, iterations, check } in
+// contentops_vault — covers every profile; each profile's stored config keeps
+// its non-secret fields in the clear plus `secrets: { iv, data }`. The derived
+// key lives only in memory until the app locks.
+const SECRET_KEYS = ['anthropicKey', 'braveKey', 'webflowKey'];
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK = 'contentops-vault';
+const AUTO_LOCK_MS = 15 * 60 * 1000;
+
+const toBase64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+const deriveVaultKey = async (passphrase, salt, iterations) => {
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+};
+
+const encryptJSON = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+const decryptJSON = async (key, box) =>
+  JSON.parse(new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(box.iv) }, key, fromBase64(box.data))));
+
+// → { vault, key } for a new passphrase
+const createVault = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+  return { vault: { salt: toBase64(salt), iterations: VAULT_ITERATIONS, check: await encryptJSON(key, VAULT_CHECK) }, key };
+};
+const openVault = async (vault, passphrase) => {
+  const key = await deriveVaultKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  const ok = await decryptJSON(key, vault.check).then(v => v === VAULT_CHECK, () => false);
+  if (!ok) throw new Error('Wrong passphrase');
+  return key;
+};
+
+// Config without any key material — what is safe to keep in state while locked
+const withoutSecrets = (config) => Object.fromEntries(Object.entries(config || {}).filter(([k]) => k !== 'secrets' && !SECRET_KEYS.includes(k)));
+const hasPlaintextSecrets = (stored) => SECRET_KEYS.some(k => stored?.[k]);
+const sealConfig = async (key, config) =>
+  ({ ...withoutSecrets(config), secrets: await encryptJSON(key, Object.fromEntries(SECRET_KEYS.map(k => [k, config[k] || '']))) });
+const unsealConfig = async (key, stored) => (stored.secrets ? { ...withoutSecrets(stored), ...(await decryptJSON(key, stored.secrets)) } : stored);
+
+// ── Drafts & versions (IndexedDB) ──────────────
+// In-progress reviews, keyed by Webflow item id, so a reload or an accidental
+// Back doesn't lose a finished Smart Check plus manual edits. Every helper
+// takes the profile id whose database it reads or writes.
+const DRAFT_STORE = 'drafts';
+// Published versions: one entry for the item's values right before each
+// publish and one for the payload sent, oldest pruned past VERSION_LIMIT.
+const VERSION_STORE = 'versions';
+const VERSION_LIMIT = 60; // per item
+// Raw GSC tables, { id: snapshot id, raw }; the snapshot list itself stays in localStorage.
+const GSC_RAW_STORE = 'gsc_raw';
+
+const openLocalDB = (profileId) => new Promise((resolve, reject) => {
+  const req = indexedDB.open(profileDBName(profileId), 3);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains(DRAFT_STORE)) db.createObjectStore(DRAFT_STORE, { keyPath: 'itemId' });
+    if (!db.objectStoreNames.contains(VERSION_STORE)) db.createObjectStore(VERSION_STORE, { keyPath: 'id', autoIncrement: true }).createIndex('itemId', 'itemId');
+    if (!db.objectStoreNames.contains(GSC_RAW_STORE)) db.createObjectStore(GSC_RAW_STORE, { keyPath: 'id' });
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const storeRequest = async (profileId, storeName, mode, run) => {
+  const db = await openLocalDB(profileId);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = run(tx.objectStore(storeName));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+const saveDraft = (profileId, draft) => storeRequest(profileId, DRAFT_STORE, 'readwrite', store => store.put(draft));
+const loadDraft = (profileId, itemId) => storeRequest(profileId, DRAFT_STORE, 'readonly', store => store.get(itemId));
+const deleteDraft = (profileId, itemId) => storeRequest(profileId, DRAFT_STORE, 'readwrite', store => store.delete(itemId));
+const listDrafts = (profileId) => storeRequest(profileId, DRAFT_STORE, 'readonly', store => store.getAll());
+
+// version: { itemId, blogName, savedAt, kind: 'before' | 'published', mode, fieldData }
+const addVersion = (profileId, version) => storeRequest(profileId, VERSION_STORE, 'readwrite', store => {
+  const req = store.add(version);
+  const keys = store.index('itemId').getAllKeys(version.itemId);
+  keys.onsuccess = () => keys.result.slice(0, Math.max(0, keys.result.length - VERSION_LIMIT)).forEach(k => store.delete(k));
+  return req;
+});
+const listVersions = (profileId, itemId) => storeRequest(profileId, VERSION_STORE, 'readonly', store => store.index('itemId').getAll(itemId));
+
+const saveGscRaw = (profileId, id, raw) => storeRequest(profileId, GSC_RAW_STORE, 'readwrite', store => store.put({ id, raw }));
+const listGscRaws = (profileId) => storeRequest(profileId, GSC_RAW_STORE, 'readonly', store => store.getAll());
+// Drops tables whose snapshot was deleted or pruned from the history
+const pruneGscRaws = (profileId, keepIds) => storeRequest(profileId, GSC_RAW_STORE, 'readwrite', store => {
+  const keys = store.getAllKeys();
+  keys.onsuccess = () => keys.result.filter(k => !keepIds.includes(k)).forEach(k => store.delete(k));
+  return keys;
+});
+
+const timeAgo = (ts) => {
+  const s = Math.round((Date.now() - ts) / 1000);
+  if (s < 60) return 'just now';
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return new Date(ts).toLocaleDateString();
 };
 
 // ── List sanitizer ──────────────────────────────
@@ -495,6 +1494,199 @@ const sanitizeListHTML = (html) => {
   return root.innerHTML;
 };
 
+// ── Publish dry run ─────────────────────────────
+// What sanitizeListHTML did to a chunk, as [{ kind, before, after }]. The
+// role attributes it adds everywhere are ignored; only lists whose structure
+// or content changed are reported.
+const describeListFixes = (before, after) => {
+  const a = toTopLevelBlocks(before), b = toTopLevelBlocks(after);
+  const key = (html) => blockKey(html.replace(/ role="list(item)?"/g, ''));
+  const hunks = [];
+  let cur = null;
+  diffSequences(a.map(key), b.map(key)).forEach(({ op, i, j }) => {
+    if (op === '=') { cur = null; return; }
+    if (!cur) { cur = { before: [], after: [] }; hunks.push(cur); }
+    if (op === '-') cur.before.push(a[i]); else cur.after.push(b[j]);
+  });
+  return hunks
+    .map(h => ({ before: h.before.join('\n'), after: h.after.join('\n') }))
+    .filter(h => /<li[\s>]/i.test(h.before + h.after))
+    .map(h => ({
+      kind: /<li[\s>](?:(?!<\/li>)[\s\S])*<(ul|ol)[\s>]/i.test(h.before) ? 'Nested list flattened'
+        : !/<(ul|ol)[\s>]/i.test(h.before) ? 'Loose items wrapped in a list'
+        : 'List markup cleaned',
+      ...h,
+    }));
+};
+
+const escapeHTML = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Per-field comparison of the PATCH payload with the item's current values.
+// Fields the payload leaves out are listed too — Webflow keeps their value.
+const publishFieldKeys = (metaFieldName) => ['name', 'post-body', 'meta-title', metaFieldName, 'meta-description', 'excerpt'].filter((k, i, all) => all.indexOf(k) === i);
+
+// The publish-managed fields of an item, for version snapshots
+const pickPublishFields = (fieldData, metaFieldName) =>
+  Object.fromEntries(publishFieldKeys(metaFieldName).filter(k => fieldData?.[k] != null).map(k => [k, fieldData[k]]));
+
+const diffPublishFields = (current, fieldData, metaFieldName) => {
+  return publishFieldKeys(metaFieldName).map(key => {
+    const sent = key in fieldData;
+    const before = current?.[key] || '';
+    const after = sent ? fieldData[key] : before;
+    const changed = sent && blockKey(before) !== blockKey(after);
+    let html = '';
+    if (changed) html = key === 'post-body' ? createDiffView(before, after).html : diffWords(escapeHTML(before), escapeHTML(after)).inline;
+    return { key, sent, before, after, changed, html };
+  });
+};
+
+const versionLabel = (v) => (v.kind === 'editor' ? 'Editor (not published)'
+  : `${v.kind === 'before' ? 'Before save' : v.mode === 'draft' ? 'Staged draft' : 'Published'} · ${new Date(v.savedAt).toLocaleString()}`);
+
+// ── Table of contents ───────────────────────────
+const slugify = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+  .replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '') || 'section';
+
+const uniqueId = (base, used) => {
+  let id = base, n = 2;
+  while (used.has(id)) id = `${base}-${n++}`;
+  used.add(id);
+  return id;
+};
+
+const hashTarget = (a) => {
+  const raw = (a.getAttribute('href') || '').slice(1);
+  try { return decodeURIComponent(raw); } catch { return raw; }
+};
+
+// A list is a TOC when every item is a single same-page #link. H3 entries
+// carry the dash prefix sanitizeListHTML gives flattened sub-items.
+const TOC_SUBITEM_PREFIX = '— ';
+const isTocList = (list) => {
+  if (list.tagName !== 'UL' && list.tagName !== 'OL') return false;
+  const items = Array.from(list.querySelectorAll(':scope > li'));
+  return items.length >= 1 && items.every(li => {
+    const links = li.querySelectorAll('a[href^="#"]');
+    return links.length === 1 && li.textContent.replace(/^[\s—–-]+/, '').trim() === links[0].textContent.trim();
+  });
+};
+
+// entries: [{ level: 2 | 3, id, text }] → <li> items for the TOC list
+const buildTocHTML = (entries) => entries.map(e =>
+  `<li role="listitem">${e.level === 3 ? TOC_SUBITEM_PREFIX : ''}<a href="#${e.id}">${escapeHTML(e.text)}</a></li>`).join('');
+
+// ── Keyword coverage ────────────────────────────
+const INTRO_WORDS = 100;
+
+// Lowercased words separated by single spaces and padded, so a padded phrase
+// only matches whole words.
+const normalizeForMatch = (text) => ` ${(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+
+const countPhrase = (normText, phrase) => {
+  const p = normalizeForMatch(phrase);
+  if (!p.trim()) return 0;
+  let n = 0;
+  for (let i = normText.indexOf(p); i !== -1; i = normText.indexOf(p, i + p.length - 1)) n++;
+  return n;
+};
+
+// Where each keyword appears: [{ title, meta, intro, headings, body, blocks }]
+// — title/meta/intro are booleans, headings counts H2/H3 hits, body counts
+// all content hits and blocks lists the top-level block indices holding them.
+const measureKeywordCoverage = (keywords, { html, title, meta }) => {
+  const doc = new DOMParser().parseFromString(`<div id="__kw">${html || ''}</div>`, 'text/html');
+  const blocks = Array.from(doc.getElementById('__kw').children);
+  const blockTexts = blocks.map(b => normalizeForMatch(b.textContent));
+  const intro = normalizeForMatch(blocks.map(b => b.textContent).join(' ').trim().split(/\s+/).slice(0, INTRO_WORDS).join(' '));
+  const normTitle = normalizeForMatch(title), normMeta = normalizeForMatch(meta);
+  return keywords.map(kw => {
+    const perBlock = blockTexts.map(t => countPhrase(t, kw));
+    const hits = perBlock.flatMap((n, i) => (n ? [i] : []));
+    return {
+      title: countPhrase(normTitle, kw) > 0,
+      meta: countPhrase(normMeta, kw) > 0,
+      intro: countPhrase(intro, kw) > 0,
+      headings: hits.filter(i => blocks[i].tagName === 'H2' || blocks[i].tagName === 'H3').reduce((n, i) => n + perBlock[i], 0),
+      body: perBlock.reduce((a, b) => a + b, 0),
+      blocks: hits,
+    };
+  });
+};
+
+// ── Pre-publish lint ────────────────────────────
+// Google desktop SERP truncation: titles in 20px Arial, descriptions in 14px
+const SERP_LIMITS = {
+  title: { label: 'Meta title', font: '20px Arial', px: 580, minChars: 30, maxChars: 60 },
+  description: { label: 'Meta description', font: '14px Arial', px: 920, minChars: 70, maxChars: 160 },
+};
+
+let measureCtx = null;
+const textPixelWidth = (text, font) => {
+  if (measureCtx === null) measureCtx = document.createElement('canvas').getContext?.('2d') || false;
+  if (!measureCtx) return Math.round(text.length * parseInt(font, 10) * 0.5); // rough average glyph width
+  measureCtx.font = font;
+  return Math.round(measureCtx.measureText(text).width);
+};
+
+// Findings: [{ severity: 'error' | 'warning', rule, message, block, field }]
+// where block is the index of the top-level element in `html`, or null for
+// meta findings, which name their field ('title' | 'description') instead.
+const lintContent = ({ html, metaTitle, metaDescription }) => {
+  const findings = [];
+  const add = (severity, rule, message, block = null, field = null) => findings.push({ severity, rule, message, block, field });
+
+  [['title', metaTitle.trim(), 'error'], ['description', metaDescription.trim(), 'warning']].forEach(([field, text, emptySeverity]) => {
+    const lim = SERP_LIMITS[field];
+    if (!text) { add(emptySeverity, 'meta', `${lim.label} is empty`, null, field); return; }
+    const px = textPixelWidth(text, lim.font);
+    if (text.length > lim.maxChars || px > lim.px) add('warning', 'meta', `${lim.label} is ${text.length} chars / ${px}px — Google truncates past ~${lim.maxChars} chars or ${lim.px}px`, null, field);
+    else if (text.length < lim.minChars) add('warning', 'meta', `${lim.label} is only ${text.length} chars — aim for ${lim.minChars}–${lim.maxChars}`, null, field);
+  });
+
+  const doc = new DOMParser().parseFromString(`<div id="__lint">${html || ''}</div>`, 'text/html');
+  const root = doc.getElementById('__lint');
+  const blocks = Array.from(root.children);
+  const blockOf = (el) => { while (el.parentElement !== root) el = el.parentElement; return blocks.indexOf(el); };
+  const quote = (el) => { const t = el.textContent.trim(); return `"${t.length > 60 ? `${t.slice(0, 60)}…` : t}"`; };
+
+  const headings = Array.from(root.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+  const h1s = headings.filter(h => h.tagName === 'H1');
+  h1s.forEach(h => add(h1s.length > 1 ? 'error' : 'warning', 'h1',
+    `${h1s.length > 1 ? `${h1s.length} H1s in the body` : 'H1 in the body'} — the page template already renders the title as H1: ${quote(h)}`, blockOf(h)));
+
+  let prevLevel = 1; // the title
+  const seen = new Map();
+  headings.forEach(h => {
+    const level = Number(h.tagName[1]);
+    if (level > prevLevel + 1) add('warning', 'heading-skip', `H${prevLevel} → H${level} skips a level: ${quote(h)}`, blockOf(h));
+    prevLevel = level;
+    const key = h.textContent.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!key) add('warning', 'heading-empty', `Empty H${level}`, blockOf(h));
+    else if (seen.has(key)) add('warning', 'heading-duplicate', `Duplicate heading ${quote(h)}`, blockOf(h));
+    else seen.set(key, h);
+  });
+
+  root.querySelectorAll('img').forEach(img => {
+    if (!(img.getAttribute('alt') || '').trim()) add('error', 'img-alt', `Image without alt text (${(img.getAttribute('src') || '').split('/').pop().slice(0, 40) || 'no src'})`, blockOf(img));
+  });
+
+  const headingIds = new Set(headings.map(h => h.id).filter(Boolean));
+  root.querySelectorAll('a[href^="#"]').forEach(a => {
+    const href = a.getAttribute('href');
+    let target = href.slice(1);
+    try { target = decodeURIComponent(target); } catch {}
+    if (!target) add('warning', 'anchor', `Link ${quote(a)} points to "#"`, blockOf(a));
+    else if (!headingIds.has(target)) add('error', 'anchor', `Link ${quote(a)} → ${href} has no matching heading id`, blockOf(a));
+  });
+
+  root.querySelectorAll('li').forEach(li => {
+    if (!li.textContent.trim() && !li.querySelector('img')) add('warning', 'list-empty', 'Empty list item', blockOf(li));
+  });
+
+  return findings;
+};
+
 // ── Block editor helpers ──────────────────────
 // Widget = anything the browser must never edit. Rendered as a locked shell;
 // its ORIGINAL html string is stored and returned verbatim on save.
@@ -518,6 +1710,75 @@ function widgetLabel(el) {
   return 'embed';
 }
 
+// Locked editor shell around a widget element (label bar + verbatim html)
+function widgetShellHTML(id, el) {
+  const isTable = el.tagName === 'TABLE' || !!el.querySelector?.('table');
+  return `<div class="co-widget-shell" contenteditable="false" data-co-wid="${id}">` +
+    `<div class="co-widget-label"><span>🔒 ${widgetLabel(el)} — protected</span>` +
+    `<span class="co-widget-actions">` +
+    `<button type="button" data-co-action="edit" data-co-target="${id}">${isTable ? '✏️ Edit table' : '</> Edit embed'}</button>` +
+    `<button type="button" data-co-action="delete" data-co-target="${id}">🗑</button>` +
+    `</span></div>` +
+    el.outerHTML + `</div>`;
+}
+
+// Webflow's rich-text image markup: figure > div > img. Anything else gets
+// rewritten by the Designer on the next edit.
+const webflowImageFigure = ({ url, alt, width, height }) => {
+  const attr = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const size = width && height ? ` width="${width}" height="${height}"` : '';
+  return `<figure style="max-width:${width ? `${width}px` : '100%'}" class="w-richtext-align-fullwidth w-richtext-figure-type-image">` +
+    `<div><img src="${attr(url)}" loading="lazy" alt="${attr(alt)}"${size}></div></figure>`;
+};
+
+// ── Image optimization ──────────────────────────
+const DEFAULT_IMAGE_SETTINGS = { maxWidth: 1600, format: 'image/webp', quality: 0.82 };
+const IMAGE_FORMATS = [['image/webp', 'WebP'], ['image/avif', 'AVIF']];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;       // what gets inserted
+const MAX_SOURCE_IMAGE_BYTES = 30 * 1024 * 1024; // what we accept to optimize
+
+const formatBytes = (n) => (n < 1024 ? `${n} B` : n < 1048576 ? `${Math.round(n / 1024)} KB` : `${(n / 1048576).toFixed(1)} MB`);
+
+const probeImageSize = (src) => new Promise(resolve => {
+  const probe = new Image();
+  probe.onload = () => resolve({ width: probe.naturalWidth || 0, height: probe.naturalHeight || 0 });
+  probe.onerror = () => resolve({ width: 0, height: 0 });
+  probe.src = src;
+});
+
+// Resize to maxWidth and re-encode through a canvas, which also drops EXIF
+// (orientation is applied first). GIF and SVG pass through untouched so
+// animation and vectors survive. Falls back to WebP, then JPEG, when the
+// browser can't encode the requested format (toBlob quietly returns PNG).
+const optimizeImage = async (file, { maxWidth, format, quality }) => {
+  if (/^image\/(gif|svg)/.test(file.type)) {
+    const url = URL.createObjectURL(file);
+    const size = await probeImageSize(url);
+    URL.revokeObjectURL(url);
+    return { file, ...size, sourceWidth: size.width, sourceHeight: size.height, note: 'GIF/SVG kept as is' };
+  }
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxWidth / bitmap.width);
+  const width = Math.round(bitmap.width * scale), height = Math.round(bitmap.height * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  const sourceWidth = bitmap.width, sourceHeight = bitmap.height;
+  bitmap.close?.();
+
+  const encode = (type) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  let blob = null;
+  for (const type of new Set([format, 'image/webp', 'image/jpeg'])) {
+    blob = await encode(type);
+    if (blob?.type === type) break;
+  }
+  if (!blob) throw new Error('Could not encode image');
+  const label = (type) => IMAGE_FORMATS.find(([t]) => t === type)?.[1] || type.split('/')[1].toUpperCase();
+  const note = blob.type === format ? '' : `${label(format)} encoding isn't supported by this browser — used ${label(blob.type)}`;
+  const name = `${file.name.replace(/\.[^.]+$/, '')}.${blob.type.split('/')[1]}`;
+  return { file: new File([blob], name, { type: blob.type }), width, height, sourceWidth, sourceHeight, note };
+};
+
 // Balance <strong>/<em>/<b>/<i>/<u> within one block so an unclosed tag can
 // never bleed past its own paragraph (the "everything turns bold" bug).
 function balanceInlineInBlock(html) {
@@ -540,7 +1801,7 @@ function blockCleanHTML(el) {
   const clone = el.cloneNode(true);
   clone.removeAttribute('contenteditable');
   clone.removeAttribute('data-co-bid');
-  clone.classList.remove('co-block', 'co-edited');
+  clone.classList.remove('co-block', 'co-edited', 'co-lint-flash');
   if (!clone.className) clone.removeAttribute('class');
   // browser-inserted junk inside blocks: divs/spans from execCommand
   clone.querySelectorAll('div').forEach(d => {
@@ -623,6 +1884,11 @@ function buildTableHTML({ attrs, rows, hasThead, prefix = '', suffix = '' }) {
   return prefix + t + suffix;
 }
 
+// Editor history bounds — snapshots hold the full editor HTML, and inline
+// data-URL images make those large, so cap by size as well as by count.
+const HISTORY_LIMIT = 100;
+const HISTORY_MAX_CHARS = 30000000;
+
 // ── Editor CSS ──────────────────────────────────
 const EDITOR_STYLES = `
   .co-editor { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 16px; line-height: 1.7; color: #1a1a1a; padding: 32px; min-height: 600px; outline: none; }
@@ -667,11 +1933,37 @@ const EDITOR_STYLES = `
   .co-widget-actions button:hover { border-color: #0ea5e9; color: #0ea5e9; }
   .co-widget-shell.co-edited { border-color: #0ea5e9; background: #f0f9ff; }
   .co-widget-shell.co-edited .co-widget-label::before { content: 'edited · '; color: #0284c7; }
+  .co-editor .co-lint-flash { outline: 2px solid #f59e0b; outline-offset: 4px; border-radius: 4px; }
+
+  /* ── Diff view ── */
+  .co-editor ins.co-ins { background: #dcfce7; color: #166534; text-decoration: none; border-radius: 2px; }
+  .co-editor del.co-del { background: #fee2e2; color: #991b1b; text-decoration: line-through; border-radius: 2px; }
+  .co-editor .co-diff-changed, .co-editor .co-diff-added, .co-editor .co-diff-removed { border-left: 3px solid #0ea5e9; padding-left: 9px; margin-left: -12px; border-radius: 2px; }
+  .co-editor .co-diff-added { border-left-color: #22c55e; background: #f0fdf4; }
+  .co-editor .co-diff-removed { border-left-color: #ef4444; background: #fef2f2; opacity: .75; }
+  .co-editor .co-diff-removed * { text-decoration: line-through; }
+  .co-editor .co-diff-note { font-size: 11px; font-weight: 600; color: #64748b; margin: .5rem 0 .25rem; word-break: break-all; }
+  .co-editor td[data-co-diff="changed"] { background: #f0f9ff; }
+  .co-editor td[data-co-diff="ins"], .co-editor th[data-co-diff="ins"] { background: #f0fdf4; }
+  .co-editor td[data-co-diff="del"], .co-editor th[data-co-diff="del"] { background: #fef2f2; }
+  .co-editor .co-diff-row { display: grid; grid-template-columns: 1fr 1fr; gap: 32px; }
+  .co-editor .co-diff-row > div { min-width: 0; }
+  .co-editor .co-diff-row-changed { background: #fafcff; }
 `;
 
 export default function ContentOps() {
   const [view, setView] = useState('home');
-  const [config, setConfig] = useState({ anthropicKey: '', braveKey: '', webflowKey: '', collectionId: '', siteId: '' });
+  const [config, setConfig] = useState(EMPTY_CONFIG);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfile, setActiveProfile] = useState(DEFAULT_PROFILE.id);
+  const profileRef = useRef(DEFAULT_PROFILE.id); // active id for async callbacks that outlive a switch
+  const profileKey = (key) => profileStorageKey(activeProfile, key);
+  const vaultKeyRef = useRef(null); // derived AES key while unlocked; never persisted
+  const [vaultState, setVaultState] = useState('none'); // none (no keys saved) | migrate (plaintext keys found) | locked | unlocked
+  const [passphrase, setPassphrase] = useState({ value: '', confirm: '', error: '', busy: false });
+  const lastActivityRef = useRef(Date.now());
+  const backendUrl = (config.backendUrl?.trim() || DEFAULT_BACKEND_URL).replace(/\/+$/, '');
+  const [backendHealth, setBackendHealth] = useState(null); // { url, checking } or probeBackend() result + { url, checkedAt, error }
   const [savedConfig, setSavedConfig] = useState(null);
   const [blogs, setBlogs] = useState([]);
   const [selectedBlog, setSelectedBlog] = useState(null);
@@ -680,6 +1972,7 @@ export default function ContentOps() {
   const [result, setResult] = useState(null);
   const [editedContent, setEditedContent] = useState('');
   const [highlightedData, setHighlightedData] = useState(null);
+  const [changeReview, setChangeReview] = useState(null); // { plan, accepted[], keepUnlisted }
   const [blogTitle, setBlogTitle] = useState('');
   const [metaDescription, setMetaDescription] = useState('');
   const [metaFieldName, setMetaFieldName] = useState('post-summary');
@@ -687,37 +1980,272 @@ export default function ContentOps() {
   const [metaSeoDescription, setMetaSeoDescription] = useState('');
   const [blogCacheData, setBlogCacheData] = useState(null);
   const [cacheTimestamp, setCacheTimestamp] = useState(null);
-  const [gscData, setGscData] = useState(null);
+  const [gscData, setGscData] = useState(null); // latest snapshot in gscHistory
+  const [gscHistory, setGscHistory] = useState([]);
+  const [gscPeriod, setGscPeriod] = useState(defaultGscPeriod);
+  const [gscTrend, setGscTrend] = useState(null); // { blog, a, b, publishDay } — snapshot ids being compared
+  const [gscSettings, setGscSettings] = useState(DEFAULT_GSC_SETTINGS);
+  const [gscOverrides, setGscOverrides] = useState(DEFAULT_GSC_OVERRIDES);
+  const [gscReview, setGscReview] = useState(null); // { pageQuery, queryQuery } filters while the match review is open
   const [showGscModal, setShowGscModal] = useState(false);
   const [gscUploading, setGscUploading] = useState(false);
+  const [gscImportErrors, setGscImportErrors] = useState([]); // [{ name, expected, found }] from the last failed import
   const [showLinkModal, setShowLinkModal] = useState(false);
   const [linkUrl, setLinkUrl] = useState('');
   const [linkText, setLinkText] = useState('');
   const [editingLink, setEditingLink] = useState(null);
   const [imageAltModal, setImageAltModal] = useState({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' });
+  // uploads also carry: original (File), width, height, sourceWidth, sourceHeight, note, optimizing
+  const [imageSettings, setImageSettings] = useState(DEFAULT_IMAGE_SETTINGS);
+  const [qualityDraft, setQualityDraft] = useState(null); // slider position while dragging; encoding runs on release
+  const optimizeSeqRef = useRef(0);
   const [tableEditor, setTableEditor] = useState({ show: false, wid: null, attrs: '', hasThead: false, rows: [], prefix: '', suffix: '' });
   const [embedEditor, setEmbedEditor] = useState({ show: false, wid: null, html: '', error: '' });
   const [editMode, setEditMode] = useState('edit');
   const [showHighlights, setShowHighlights] = useState(true);
+  const [diffLayout, setDiffLayout] = useState('inline'); // 'inline' | 'split'
   const [showHeadingMenu, setShowHeadingMenu] = useState(false);
   const [htmlSource, setHtmlSource] = useState('');
   const [copied, setCopied] = useState(false);
   const [detectedSiteId, setDetectedSiteId] = useState(null);
+  const [drafts, setDrafts] = useState({});          // itemId → savedAt
+  const [draftPrompt, setDraftPrompt] = useState(null); // { blog, savedAt }
+  const draftStartedRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [batchItems, setBatchItems] = useState([]);  // { id, blog, status: queued|running|done|failed, stage, error, result, startedAt, finishedAt, draft: saved|skipped|failed }
+  const [batchConcurrency, setBatchConcurrency] = useState(2);
+  const [, setBatchTick] = useState(0);
+  const batchCtrlsRef = useRef(new Map());           // running item id → AbortController
+  const reviewItemRef = useRef(null);                 // item id open in the review view, so batch results don't overwrite its draft
+  const [smartCheckProgress, setSmartCheckProgress] = useState(null); // { stage, message, searches, claims } while a single check runs
+  const smartCheckCtrlRef = useRef(null);
+  const [dryRun, setDryRun] = useState(null);        // { fieldData, anchors, lists, rows, source: live|loaded }
+  const [publishMode, setPublishMode] = useState('live'); // 'live' | 'draft'
+  const [publishedAs, setPublishedAs] = useState('live'); // mode of the last successful save, for the success screen
+  const [lintFindings, setLintFindings] = useState([]);
+  const [keywordCoverage, setKeywordCoverage] = useState(null); // { keywords, before, after } — see measureKeywordCoverage
+  const [versionHistory, setVersionHistory] = useState(null); // { blog, standalone, metaField, versions, a, b, rows } — a/b are compared version ids
+  const [dashFilters, setDashFilters] = useState(DEFAULT_DASH_FILTERS);
+  const [gscExplorer, setGscExplorer] = useState(DEFAULT_GSC_EXPLORER);
+  const [dashLayout, setDashLayout] = useState('grid'); // 'grid' | 'ranking'
+  const [brandRegistry, setBrandRegistry] = useState(KNOWN_BRAND_CONFUSIONS);
+  const [brandTest, setBrandTest] = useState({ blogId: '', output: null });
+  const [funnelRules, setFunnelRules] = useState(DEFAULT_FUNNEL_RULES);
+  const [stageOverrides, setStageOverrides] = useState({}); // itemId → stage
+  const [funnelTestTitle, setFunnelTestTitle] = useState('');
 
   const editorRef = useRef(null);
   const savedRangeRef = useRef(null);
   const [contentVersion, setContentVersion] = useState(0);
 
+  // Non-secret fields right away; the keys once the vault is unlocked
+  // Returns the saved config (without keys), or null when the profile has no
+  // keys yet — a stored config may hold only settings such as the backend URL.
+  const loadProfileConfig = (id) => {
+    let cfg = null;
+    try { cfg = JSON.parse(localStorage.getItem(profileStorageKey(id, 'config')) || 'null'); } catch {}
+    const saved = cfg && (cfg.secrets || hasPlaintextSecrets(cfg)) ? withoutSecrets(cfg) : null;
+    setSavedConfig(saved);
+    setConfig({ ...EMPTY_CONFIG, ...withoutSecrets(cfg) });
+    if (cfg?.secrets && vaultKeyRef.current) {
+      unsealConfig(vaultKeyRef.current, cfg)
+        .then(full => { if (profileRef.current === id) setConfig({ ...EMPTY_CONFIG, ...full }); })
+        .catch(e => setStatus({ type: 'error', message: `Could not decrypt this profile's keys: ${e.message}` }));
+    }
+    return saved;
+  };
+
+  // Reads everything a profile owns into state; used on mount and on every switch.
+  // Returns the profile's saved config, as loadProfileConfig does.
+  const loadProfile = (id) => {
+    profileRef.current = id;
+    const key = (k) => profileStorageKey(id, k);
+    const saved = loadProfileConfig(id);
+    setDetectedSiteId(null);
+    let gscSet = DEFAULT_GSC_SETTINGS, gscOver = DEFAULT_GSC_OVERRIDES;
+    try { gscSet = { ...DEFAULT_GSC_SETTINGS, ...JSON.parse(localStorage.getItem(key('gsc_settings')) || '{}') }; } catch {}
+    try { gscOver = { ...DEFAULT_GSC_OVERRIDES, ...JSON.parse(localStorage.getItem(key('gsc_overrides')) || '{}') }; } catch {}
+    setGscSettings(gscSet);
+    setGscOverrides(gscOver);
+    try {
+      let history = JSON.parse(localStorage.getItem(key('gsc_history')) || 'null');
+      const legacy = localStorage.getItem(key('gsc_data'));
+      if (!history && legacy) {
+        // single pre-history upload: assume it covered the default window ending on upload day
+        const g = JSON.parse(legacy);
+        history = [{ id: 'legacy', ...defaultGscPeriod(Date.parse(g.uploadedAt) || Date.now()), ...g }];
+        localStorage.setItem(key('gsc_history'), JSON.stringify(history));
+        localStorage.removeItem(key('gsc_data'));
+      }
+      const sorted = Array.isArray(history) ? sortGscHistory(history).map(h => hydrateGscSnapshot(h, gscSet, gscOver)) : [];
+      setGscHistory(sorted);
+      setGscData(sorted[sorted.length - 1] || null);
+      // Earlier builds kept the raw tables inline; move them to IndexedDB
+      const inline = sorted.filter(h => h.raw);
+      if (inline.length) {
+        Promise.all(inline.map(h => saveGscRaw(id, h.id, h.raw)))
+          .then(() => localStorage.setItem(key('gsc_history'), JSON.stringify(sorted.map(dehydrateGscSnapshot))))
+          .catch(e => console.error('GSC table migration failed:', e));
+      }
+      listGscRaws(id)
+        .then(raws => {
+          const byId = new Map(raws.map(r => [r.id, r.raw]));
+          if (profileRef.current !== id || !sorted.some(h => !h.raw && byId.has(h.id))) return;
+          const full = sorted.map(h => (!h.raw && byId.has(h.id) ? hydrateGscSnapshot({ ...h, raw: byId.get(h.id) }, gscSet, gscOver) : h));
+          setGscHistory(full);
+          setGscData(full[full.length - 1] || null);
+        })
+        .catch(e => console.error('GSC table load failed:', e));
+    } catch { setGscHistory([]); setGscData(null); }
+    let reg = null, rules = null, overrides = null;
+    try { reg = validateBrandRegistry(JSON.parse(localStorage.getItem(key('brand_registry')) || 'null'), { allowBlank: true }); } catch {}
+    try { rules = validateFunnelRules(JSON.parse(localStorage.getItem(key('funnel_rules')) || 'null')); } catch {}
+    try { overrides = JSON.parse(localStorage.getItem(key('funnel_overrides')) || 'null'); } catch {}
+    setBrandRegistry(reg || KNOWN_BRAND_CONFUSIONS);
+    setFunnelRules(rules || DEFAULT_FUNNEL_RULES);
+    setStageOverrides(overrides || {});
+    setDrafts({});
+    listDrafts(id)
+      .then(all => { if (profileRef.current === id) setDrafts(Object.fromEntries(all.map(d => [d.itemId, d.savedAt]))); })
+      .catch(e => console.error('Draft list failed:', e));
+    return saved;
+  };
+
   useEffect(() => {
-    const s = localStorage.getItem('contentops_config');
-    if (s) { const p = JSON.parse(s); setSavedConfig(p); setConfig(p); }
-    const g = localStorage.getItem('contentops_gsc_data');
-    if (g) { try { setGscData(JSON.parse(g)); } catch {} }
+    const plaintext = profiles.some(p => {
+      try { return hasPlaintextSecrets(JSON.parse(localStorage.getItem(profileStorageKey(p.id, 'config')) || 'null')); } catch { return false; }
+    });
+    setVaultState(localStorage.getItem('contentops_vault') ? 'locked' : plaintext ? 'migrate' : 'none');
+    const id = localStorage.getItem('contentops_active_profile');
+    const start = profiles.some(p => p.id === id) ? id : DEFAULT_PROFILE.id;
+    setActiveProfile(start);
+    loadProfile(start);
+    const bc = parseInt(localStorage.getItem('contentops_batch_concurrency'), 10);
+    if (bc > 0) setBatchConcurrency(bc);
+    const df = localStorage.getItem('contentops_dashboard_filters');
+    if (df) { try { setDashFilters({ ...DEFAULT_DASH_FILTERS, ...JSON.parse(df) }); } catch {} }
+    const gx = localStorage.getItem('contentops_gsc_explorer');
+    if (gx) { try { setGscExplorer({ ...DEFAULT_GSC_EXPLORER, ...JSON.parse(gx) }); } catch {} }
+    if (localStorage.getItem('contentops_dashboard_layout') === 'ranking') setDashLayout('ranking');
+    if (localStorage.getItem('contentops_publish_mode') === 'draft') setPublishMode('draft');
+    const is = localStorage.getItem('contentops_image_settings');
+    if (is) { try { setImageSettings({ ...DEFAULT_IMAGE_SETTINGS, ...JSON.parse(is) }); } catch {} }
   }, []);
 
-  // ══════════════════════════════════════════════
-  // BLOCK-BASED EDITOR
-  // The container is NOT editable. Each paragraph/heading/list is its own
+  // Autosave the review (debounced) whenever its content or fields change.
+  useEffect(() => {
+    if (view !== 'review' || !result || !selectedBlog) return;
+    const t = setTimeout(() => {
+      const savedAt = Date.now();
+      saveDraft(activeProfile, {
+        itemId: selectedBlog.id,
+        blogName: selectedBlog.fieldData.name,
+        startedAt: draftStartedRef.current || savedAt,
+        savedAt,
+        result,
+        editedContent,
+        blogTitle,
+        metaTitle,
+        metaDescription,
+        metaFieldName,
+        metaSeoDescription,
+        changeDecisions: changeReview ? { accepted: changeReview.accepted, keepUnlisted: changeReview.keepUnlisted } : null,
+      })
+        .then(() => setDrafts(d => ({ ...d, [selectedBlog.id]: savedAt })))
+        .catch(e => console.error('Draft save failed:', e));
+    }, 1000);
+    return () => clearTimeout(t);
+  }, [view, result, selectedBlog, editedContent, blogTitle, metaTitle, metaDescription, metaFieldName, metaSeoDescription, changeReview]);
+
+  // Re-lint the review and re-measure keyword coverage (debounced) as
+  // content and meta fields change
+  useEffect(() => {
+    if (view !== 'review' || !result || !selectedBlog) return;
+    const t = setTimeout(() => {
+      setLintFindings(lintContent({ html: editedContent, metaTitle: metaTitle.trim() || blogTitle.trim(), metaDescription: metaSeoDescription }));
+      const keywords = result.gscKeywordsUsed || getGscKeywordsForBlog(selectedBlog)?.keywords || [];
+      if (!keywords.length) { setKeywordCoverage(null); return; }
+      const queries = keywords.map(k => k.query);
+      const orig = blogReviewFields(selectedBlog);
+      setKeywordCoverage({
+        keywords,
+        before: measureKeywordCoverage(queries, { html: result.originalContent, title: orig.metaTitle, meta: orig.metaSeoDescription }),
+        after: measureKeywordCoverage(queries, { html: editedContent, title: metaTitle.trim() || blogTitle.trim(), meta: metaSeoDescription }),
+      });
+    }, 400);
+    return () => clearTimeout(t);
+  }, [view, result, selectedBlog, editedContent, blogTitle, metaTitle, metaSeoDescription, gscData]);
+
+  useEffect(() => { reviewItemRef.current = view === 'review' ? selectedBlog?.id : null; }, [view, selectedBlog]);
+
+  // Batch queue pump: start queued items while there are free slots. Each
+  // finished result is stored as a draft so it survives reloads and opens in
+  // the review view like any other draft — except while that blog is open in
+  // review, whose draft belongs to the edits in progress.
+  useEffect(() => {
+    const running = batchItems.filter(i => i.status === 'running').length;
+    const next = batchItems.filter(i => i.status === 'queued').slice(0, Math.max(0, batchConcurrency - running));
+    if (!next.length) return;
+    const ids = new Set(next.map(i => i.id));
+    const update = (id, patch) => setBatchItems(items => items.map(i => (i.id === id ? { ...i, ...patch } : i)));
+    const profileId = activeProfile;
+    setBatchItems(items => items.map(i => (ids.has(i.id) ? { ...i, status: 'running', stage: null, error: '', startedAt: Date.now() } : i)));
+    next.forEach(item => {
+      const ctrl = new AbortController();
+      batchCtrlsRef.current.set(item.id, ctrl);
+      runSmartCheck(item.blog, { signal: ctrl.signal, onProgress: ev => ev.stage && update(item.id, { stage: ev.stage }) })
+        .then(({ result: res }) => {
+          const savedAt = Date.now();
+          if (profileRef.current === profileId && reviewItemRef.current === item.id) {
+            update(item.id, { status: 'done', result: res, finishedAt: savedAt, draft: 'skipped' });
+            return;
+          }
+          update(item.id, { status: 'done', result: res, finishedAt: savedAt });
+          // a failed write keeps the result in the list; only the draft is lost
+          saveDraft(profileId, { itemId: item.id, blogName: item.blog.fieldData.name, startedAt: savedAt, savedAt, result: res, editedContent: res.content, ...blogReviewFields(item.blog), changeDecisions: null })
+            .then(() => {
+              update(item.id, { draft: 'saved' });
+              if (profileRef.current === profileId) setDrafts(d => ({ ...d, [item.id]: savedAt }));
+            })
+            .catch(e => update(item.id, { draft: 'failed', error: `Draft not saved: ${e.message}` }));
+        }, e => update(item.id, { status: 'failed', error: ctrl.signal.aborted ? 'Cancelled' : e.message, finishedAt: Date.now() }))
+        .finally(() => batchCtrlsRef.current.delete(item.id));
+    });
+  }, [batchItems, batchConcurrency]);
+
+  // Auto-lock after AUTO_LOCK_MS without input, unless Smart Checks are still running
+  useEffect(() => {
+    if (vaultState !== 'unlocked') return;
+    const touch = () => { lastActivityRef.current = Date.now(); };
+    const events = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+    events.forEach(e => window.addEventListener(e, touch, { passive: true }));
+    const t = setInterval(() => {
+      if (smartCheckCtrlRef.current || batchCtrlsRef.current.size) touch();
+      else if (Date.now() - lastActivityRef.current > AUTO_LOCK_MS) lockVault();
+    }, 30000);
+    return () => {
+      clearInterval(t);
+      events.forEach(e => window.removeEventListener(e, touch));
+    };
+  }, [vaultState]);
+
+  // Probe the backend whenever the effective URL settles (profile switch, edits in setup)
+  useEffect(() => {
+    const t = setTimeout(() => checkBackend(backendUrl), 800);
+    return () => clearTimeout(t);
+  }, [backendUrl]);
+
+  // tick once a second while anything runs, for the elapsed-time readout
+  const batchRunning = batchItems.some(i => i.status === 'running');
+  useEffect(() => {
+    if (!batchRunning) return;
+    const t = setInterval(() => setBatchTick(n => n + 1), 1000);
+    return () => clearInterval(t);
+  }, [batchRunning]);
+
+  // ══════════════════════════════════════════════
+  // BLOCK-BASED EDITOR
+  // The container is NOT editable. Each paragraph/heading/list is its own
   // small contentEditable island. Widgets/tables/videos are locked shells —
   // their original HTML is stored in widgetStoreRef and returned VERBATIM
   // on save, so the browser can never alter them.
@@ -727,6 +2255,7 @@ export default function ContentOps() {
   const blockOrigRef = useRef(new Map());     // bid → original clean html (for edit-highlight)
   const lastFocusedBlockRef = useRef(null);
   const blockSeqRef = useRef(0);
+  const editorBaselineRef = useRef('');       // assembled content right after the last rebuild
 
   const makeTextBlockAttrs = (el, bid) => {
     el.classList.add('co-block');
@@ -757,16 +2286,7 @@ export default function ContentOps() {
         const id = 'w' + (wid++);
         widgetStoreRef.current.set(id, node.outerHTML);
         widgetOrigRef.current.set(id, node.outerHTML);
-        const isTable = node.tagName === 'TABLE' || !!node.querySelector?.('table');
-        parts.push(
-          `<div class="co-widget-shell" contenteditable="false" data-co-wid="${id}">` +
-          `<div class="co-widget-label"><span>🔒 ${widgetLabel(node)} — protected</span>` +
-          `<span class="co-widget-actions">` +
-          `<button type="button" data-co-action="edit" data-co-target="${id}">${isTable ? '✏️ Edit table' : '</> Edit embed'}</button>` +
-          `<button type="button" data-co-action="delete" data-co-target="${id}">🗑</button>` +
-          `</span></div>` +
-          node.outerHTML + `</div>`
-        );
+        parts.push(widgetShellHTML(id, node));
       } else {
         const bid = 'b' + (blockSeqRef.current++);
         makeTextBlockAttrs(node, bid);
@@ -784,6 +2304,8 @@ export default function ContentOps() {
   useEffect(() => {
     if (editMode === 'edit' && editorRef.current) {
       buildEditorDOM(editedContent);
+      editorBaselineRef.current = assembleContent();
+      commitHistory(editorBaselineRef.current);
     }
   }, [editMode, contentVersion]);
 
@@ -803,6 +2325,14 @@ export default function ContentOps() {
   const liveContentRef = useRef('');
   const syncTimerRef = useRef(null);
 
+  // ── Editor history ──
+  // Checkpoints of the whole editor (block DOM + widget store), so undo also
+  // covers what the browser's per-island stack never sees: block splits and
+  // removals, list/heading conversions, widget edits. Typing folds into one
+  // step per debounced sync; structural operations checkpoint around themselves.
+  const historyRef = useRef({ past: [], present: null, future: [] });
+  const [historyFlags, setHistoryFlags] = useState({ canUndo: false, canRedo: false });
+
   // Deterministic reassembly: widgets come back from the store VERBATIM,
   // text blocks come from the DOM, cleaned per-block.
   const assembleContent = useCallback(() => {
@@ -821,22 +2351,69 @@ export default function ContentOps() {
     return parts.join('\n');
   }, [editedContent]);
 
+  const commitHistory = useCallback((content) => {
+    const container = editorRef.current;
+    if (!container) return;
+    const h = historyRef.current;
+    const snap = { content: content ?? assembleContent(), html: container.innerHTML, widgets: new Map(widgetStoreRef.current) };
+    if (h.present?.content === snap.content) { h.present = snap; return; }
+    if (h.present) h.past.push(h.present);
+    let size = h.past.reduce((n, p) => n + p.html.length, 0);
+    while (h.past.length > HISTORY_LIMIT || (h.past.length && size > HISTORY_MAX_CHARS)) size -= h.past.shift().html.length;
+    h.present = snap;
+    h.future = [];
+    setHistoryFlags({ canUndo: h.past.length > 0, canRedo: false });
+  }, [assembleContent]);
+
   const syncFromEditor = useCallback(() => {
     if (syncTimerRef.current) clearTimeout(syncTimerRef.current);
     syncTimerRef.current = setTimeout(() => {
       const html = assembleContent();
       liveContentRef.current = html;
       setEditedContent(html);
+      commitHistory(html);
     }, 500);
-  }, [assembleContent]);
+  }, [assembleContent, commitHistory]);
 
   const flushEditorContent = useCallback(() => {
     if (syncTimerRef.current) clearTimeout(syncTimerRef.current);
     const html = assembleContent();
     liveContentRef.current = html;
     setEditedContent(html);
+    commitHistory(html);
     return html;
-  }, [assembleContent]);
+  }, [assembleContent, commitHistory]);
+
+  const restoreHistory = useCallback((snap) => {
+    if (syncTimerRef.current) clearTimeout(syncTimerRef.current);
+    editorRef.current.innerHTML = snap.html;
+    widgetStoreRef.current = new Map(snap.widgets);
+    lastFocusedBlockRef.current = null;
+    liveContentRef.current = snap.content;
+    setEditedContent(snap.content);
+  }, []);
+
+  const undoEdit = useCallback(() => {
+    if (!editorRef.current) return;
+    commitHistory(); // pending typing becomes its own step first
+    const h = historyRef.current;
+    if (!h.past.length) return;
+    h.future.push(h.present);
+    h.present = h.past.pop();
+    restoreHistory(h.present);
+    setHistoryFlags({ canUndo: h.past.length > 0, canRedo: true });
+  }, [commitHistory, restoreHistory]);
+
+  const redoEdit = useCallback(() => {
+    if (!editorRef.current) return;
+    commitHistory(); // typing after an undo drops the redo branch
+    const h = historyRef.current;
+    if (!h.future.length) return;
+    h.past.push(h.present);
+    h.present = h.future.pop();
+    restoreHistory(h.present);
+    setHistoryFlags({ canUndo: true, canRedo: h.future.length > 0 });
+  }, [commitHistory, restoreHistory]);
 
   // per-block input: refresh edit-highlight, then debounced sync
   const handleBlockInput = useCallback((e) => {
@@ -858,6 +2435,11 @@ export default function ContentOps() {
   // Inside lists, Enter behaves natively (new <li>) except on an empty item,
   // which exits the list into a fresh paragraph block.
   const handleEditorKeyDown = useCallback((e) => {
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) redoEdit(); else undoEdit();
+      return;
+    }
     const block = e.target?.closest?.('.co-block');
     if (!block) return;
     const isList = block.tagName === 'UL' || block.tagName === 'OL';
@@ -868,6 +2450,7 @@ export default function ContentOps() {
         const li = sel.anchorNode && (sel.anchorNode.nodeType === 1 ? sel.anchorNode : sel.anchorNode.parentElement)?.closest?.('li');
         if (li && !li.textContent.trim()) {
           e.preventDefault();
+          commitHistory();
           li.remove();
           const bid = 'b' + (blockSeqRef.current++);
           const p = document.createElement('p');
@@ -878,11 +2461,12 @@ export default function ContentOps() {
           if (!block.querySelector('li')) block.remove();
           const r = document.createRange(); r.setStart(p, 0); r.collapse(true);
           sel.removeAllRanges(); sel.addRange(r); p.focus();
-          syncFromEditor();
+          flushEditorContent();
         }
         return; // native <li> behavior otherwise
       }
       e.preventDefault();
+      commitHistory();
       const range = sel.getRangeAt(0);
       const after = range.cloneRange();
       after.selectNodeContents(block);
@@ -899,7 +2483,7 @@ export default function ContentOps() {
       p.classList.toggle('co-edited', blockCleanHTML(p) !== '');
       const r = document.createRange(); r.setStart(p, 0); r.collapse(true);
       sel.removeAllRanges(); sel.addRange(r); p.focus();
-      syncFromEditor();
+      flushEditorContent();
       return;
     }
 
@@ -907,6 +2491,7 @@ export default function ContentOps() {
       const empty = !block.textContent.trim() && !block.querySelector('img,iframe,video');
       if (empty) {
         e.preventDefault();
+        commitHistory();
         let prev = block.previousElementSibling;
         while (prev && !prev.classList.contains('co-block')) prev = prev.previousElementSibling;
         block.remove();
@@ -916,20 +2501,21 @@ export default function ContentOps() {
           r.selectNodeContents(prev); r.collapse(false);
           sel.removeAllRanges(); sel.addRange(r);
         }
-        syncFromEditor();
+        flushEditorContent();
       }
     }
-  }, [syncFromEditor]);
+  }, [flushEditorContent, commitHistory, undoEdit, redoEdit]);
 
   const execCmd = (cmd, val) => {
     // operates within the focused block island — safe by construction
+    commitHistory();
     document.execCommand(cmd, false, val || null);
     const block = lastFocusedBlockRef.current;
     if (block?.isConnected) {
       const bid = block.getAttribute('data-co-bid');
       block.classList.toggle('co-edited', blockCleanHTML(block) !== blockOrigRef.current.get(bid));
     }
-    syncFromEditor();
+    flushEditorContent();
   };
 
   const currentBlock = () => {
@@ -946,6 +2532,7 @@ export default function ContentOps() {
   const formatHeading = (level) => {
     const block = currentBlock();
     if (!block || block.tagName === 'UL' || block.tagName === 'OL') { setShowHeadingMenu(false); return; }
+    commitHistory();
     const targetTag = block.tagName === `H${level}` ? 'p' : `h${level}`;
     const bid = block.getAttribute('data-co-bid');
     const next = document.createElement(targetTag);
@@ -953,17 +2540,82 @@ export default function ContentOps() {
     if (block.id) next.id = block.id;
     makeTextBlockAttrs(next, bid);
     block.replaceWith(next);
+    syncTocDOM(false);
     next.classList.toggle('co-edited', blockCleanHTML(next) !== blockOrigRef.current.get(bid));
     next.focus();
     lastFocusedBlockRef.current = next;
-    syncFromEditor();
+    flushEditorContent();
     setShowHeadingMenu(false);
   };
 
+  // ── Table of contents ──
+  // Give every top-level H2/H3 an id (existing ids are kept so old links
+  // still resolve) and rewrite the TOC list from them. With insert=false it
+  // only updates an existing TOC. DOM only — callers handle history + flush.
+  const syncTocDOM = (insert) => {
+    const container = editorRef.current;
+    if (!container) return null;
+    let toc = Array.from(container.querySelectorAll(':scope > ul.co-block, :scope > ol.co-block')).find(isTocList);
+    if (!toc && !insert) return null;
+
+    // a hand-written TOC may already name the target of a heading without an id
+    const known = new Map(toc ? Array.from(toc.querySelectorAll('a')).map(a => [a.textContent.trim().toLowerCase(), hashTarget(a)]) : []);
+    const used = new Set(Array.from(container.querySelectorAll('[id]')).map(el => el.id));
+    const entries = [];
+    container.querySelectorAll(':scope > h2.co-block, :scope > h3.co-block').forEach(h => {
+      const text = h.textContent.trim();
+      if (!text) return;
+      if (!h.id) {
+        const prior = known.get(text.toLowerCase());
+        h.id = prior && !used.has(prior) ? prior : uniqueId(slugify(text), used);
+        used.add(h.id);
+        h.classList.toggle('co-edited', blockCleanHTML(h) !== blockOrigRef.current.get(h.getAttribute('data-co-bid')));
+      }
+      entries.push({ level: h.tagName === 'H3' ? 3 : 2, id: h.id, text });
+    });
+    if (!entries.length) return { toc, count: 0 };
+
+    if (!toc) {
+      const bid = 'b' + (blockSeqRef.current++);
+      toc = document.createElement('ul');
+      toc.setAttribute('role', 'list');
+      makeTextBlockAttrs(toc, bid);
+      blockOrigRef.current.set(bid, '');
+      const anchor = lastFocusedBlockRef.current?.isConnected ? lastFocusedBlockRef.current : null;
+      const firstHeading = container.querySelector(':scope > h2.co-block, :scope > h3.co-block');
+      if (anchor) anchor.after(toc);
+      else if (firstHeading) firstHeading.before(toc);
+      else container.prepend(toc);
+    }
+    const html = buildTocHTML(entries);
+    if (toc.innerHTML !== html) toc.innerHTML = html;
+    toc.classList.toggle('co-edited', blockCleanHTML(toc) !== blockOrigRef.current.get(toc.getAttribute('data-co-bid')));
+    return { toc, count: entries.length };
+  };
+
+  // Leaving an edited H2/H3 brings an existing TOC's entries in line with it
+  const handleEditorFocusOut = (e) => {
+    const block = e.target?.closest?.('.co-block');
+    if (block?.tagName !== 'H2' && block?.tagName !== 'H3') return;
+    if (syncTocDOM(false)?.toc) syncFromEditor();
+  };
+
+  const generateToc = () => {
+    if (!editorRef.current) return;
+    commitHistory();
+    const res = syncTocDOM(true);
+    if (!res?.count) { setStatus({ type: 'error', message: 'No H2/H3 headings to build a table of contents from' }); return; }
+    flushEditorContent();
+    res.toc.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setStatus({ type: 'success', message: `Table of contents updated — ${res.count} headings` });
+    setTimeout(() => setStatus({ type: '', message: '' }), 2000);
+  };
+
   const insertListCmd = (type) => {
     const block = currentBlock();
     if (!block) return;
     const bid = block.getAttribute('data-co-bid');
+    commitHistory();
 
     if (block.tagName === 'UL' || block.tagName === 'OL') {
       // list → paragraphs (one per item)
@@ -1001,10 +2653,11 @@ export default function ContentOps() {
       list.focus();
       lastFocusedBlockRef.current = list;
     }
-    syncFromEditor();
+    flushEditorContent();
   };
 
   const handleEditorPaste = useCallback(() => {
+    commitHistory();
     setTimeout(() => {
       if (!editorRef.current) return;
 
@@ -1028,9 +2681,9 @@ export default function ContentOps() {
         list.setAttribute('role', 'list');
       });
 
-      syncFromEditor();
+      flushEditorContent();
     }, 50);
-  }, [syncFromEditor]);
+  }, [flushEditorContent, commitHistory]);
 
   // ── Widget editing (tables + embeds) ──
   const refreshShell = (wid) => {
@@ -1049,6 +2702,7 @@ export default function ContentOps() {
   };
 
   const openWidgetEditor = (wid) => {
+    commitHistory();
     const html = widgetStoreRef.current.get(wid);
     if (!html) return;
     const parsed = parseTableHTML(html);
@@ -1061,6 +2715,7 @@ export default function ContentOps() {
 
   const deleteWidget = (wid) => {
     if (!confirm('Delete this element? This removes it from the blog.')) return;
+    commitHistory();
     editorRef.current?.querySelector(`[data-co-wid="${wid}"]`)?.remove();
     widgetStoreRef.current.delete(wid);
     flushEditorContent();
@@ -1153,6 +2808,7 @@ export default function ContentOps() {
 
   const applyLink = () => {
     if (!linkUrl) return;
+    commitHistory();
     if (editingLink) {
       editingLink.setAttribute('href', linkUrl);
       editingLink.setAttribute('target', '_blank');
@@ -1171,7 +2827,7 @@ export default function ContentOps() {
         savedRangeRef.current.insertNode(a);
       }
     }
-    syncFromEditor();
+    flushEditorContent();
     setShowLinkModal(false); setLinkUrl(''); setLinkText(''); setEditingLink(null);
   };
 
@@ -1181,19 +2837,77 @@ export default function ContentOps() {
     if (!file.type.startsWith('image/')) {
       setStatus({ type: 'error', message: 'Select an image file' }); return;
     }
-    if (file.size > 5 * 1024 * 1024) {
-      setStatus({ type: 'error', message: 'Max 5MB' }); return;
+    if (file.size > MAX_SOURCE_IMAGE_BYTES) {
+      setStatus({ type: 'error', message: `Max ${formatBytes(MAX_SOURCE_IMAGE_BYTES)}` }); return;
     }
 
-    const preview = URL.createObjectURL(file);
-    setImageAltModal({ show: true, src: preview, currentAlt: '', index: -1, isUpload: true, file, error: '' });
+    setImageAltModal({ show: true, src: '', currentAlt: '', index: -1, isUpload: true, file: null, original: file, error: '', optimizing: true });
     e.target.value = '';
+    runImageOptimization(file, imageSettings);
+  };
+
+  // Optimize the picked file into the alt-text modal. Only the latest run
+  // lands, so quick settings changes can't race each other.
+  const runImageOptimization = async (original, settings) => {
+    const seq = ++optimizeSeqRef.current;
+    setImageAltModal(m => ({ ...m, optimizing: true, error: '' }));
+    try {
+      const out = await optimizeImage(original, settings);
+      if (seq !== optimizeSeqRef.current) return;
+      setImageAltModal(m => {
+        if (!m.show || m.original !== original) return m;
+        if (m.src) URL.revokeObjectURL(m.src);
+        return {
+          ...m, ...out, src: URL.createObjectURL(out.file), optimizing: false,
+          error: out.file.size > MAX_IMAGE_BYTES ? `Still ${formatBytes(out.file.size)} after optimizing — max ${formatBytes(MAX_IMAGE_BYTES)}. Lower the width or quality.` : '',
+        };
+      });
+    } catch (err) {
+      console.error('Image optimization error:', err);
+      if (seq === optimizeSeqRef.current) setImageAltModal(m => ({ ...m, optimizing: false, file: null, error: `Could not read this image: ${err.message}` }));
+    }
+  };
+
+  const updateImageSettings = (patch) => {
+    const next = { ...imageSettings, ...patch };
+    setImageSettings(next);
+    localStorage.setItem('contentops_image_settings', JSON.stringify(next));
+    if (imageAltModal.isUpload && imageAltModal.original) runImageOptimization(imageAltModal.original, next);
+  };
+
+  const commitQuality = () => {
+    if (qualityDraft != null && qualityDraft !== imageSettings.quality) updateImageSettings({ quality: qualityDraft });
+    setQualityDraft(null);
+  };
+
+  // Upload through the backend to the site's Webflow Assets → hosted URL
+  const uploadImageAsset = async (file, siteId) => {
+    const form = new FormData();
+    form.append('file', file, file.name);
+    const ctrl = new AbortController();
+    setTimeout(() => ctrl.abort(), 120000);
+    const r = await fetch(`${backendUrl}/api/assets?siteId=${siteId}`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${config.webflowKey}` },
+      body: form,
+      signal: ctrl.signal
+    });
+    const ct = r.headers.get('content-type') || '';
+    const d = ct.includes('application/json') ? await r.json() : {};
+    if (!r.ok) throw new Error(d.error || d.message || `Upload failed (HTTP ${r.status})`);
+    const url = d.hostedUrl || d.url;
+    if (!url) throw new Error('Upload returned no asset URL');
+    return url;
   };
 
   const insertUploadedImage = async () => {
     if (!imageAltModal.file || !imageAltModal.currentAlt.trim()) {
       setImageAltModal(m => ({ ...m, error: 'Alt text required for accessibility & SEO' })); return;
     }
+    if (imageAltModal.file.size > MAX_IMAGE_BYTES) return;
+
+    const siteId = config.siteId || detectedSiteId;
+    if (siteId && supports('assets') !== false) { insertAssetImage(siteId); return; }
 
     setImageAltModal(m => ({ ...m, error: '' }));
 
@@ -1206,12 +2920,15 @@ export default function ContentOps() {
       });
 
       if (!editorRef.current) throw new Error('Editor not available');
+      commitHistory();
 
-      // insert as its OWN block after the last-focused block (or at the end)
+      // No site id: inline fallback. Insert as its OWN block after the
+      // last-focused block (or at the end).
       const img = document.createElement('img');
       img.src = dataUrl;
       img.alt = imageAltModal.currentAlt.trim();
       img.loading = 'lazy';
+      if (imageAltModal.width && imageAltModal.height) { img.width = imageAltModal.width; img.height = imageAltModal.height; }
       img.style.cssText = 'max-width:100%;height:auto;display:block;margin:0.5rem 0;border-radius:6px';
 
       const bid = 'b' + (blockSeqRef.current++);
@@ -1229,22 +2946,60 @@ export default function ContentOps() {
 
       URL.revokeObjectURL(imageAltModal.src);
       setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' });
-      setStatus({ type: 'success', message: 'Image inserted!' });
-      setTimeout(() => setStatus({ type: '', message: '' }), 2000);
+      setStatus({ type: 'error', message: siteId
+        ? '⚠ This backend does not support asset uploads — image embedded inline as base64, which bloats post-body.'
+        : '⚠ No Site ID — image embedded inline as base64, which bloats post-body. Add the Site ID in Settings to upload to Webflow Assets instead.' });
     } catch (err) {
       console.error('Image insertion error:', err);
       setImageAltModal(m => ({ ...m, error: err.message || 'Failed to insert image' }));
     }
   };
 
+  // Upload, then insert the hosted image as a locked figure widget after the
+  // last-focused block (or at the end).
+  const insertAssetImage = async (siteId) => {
+    const { file, src, currentAlt, width, height } = imageAltModal;
+    setImageAltModal(m => ({ ...m, error: '', uploading: true }));
+    try {
+      const url = await uploadImageAsset(file, siteId);
+      if (!editorRef.current) throw new Error('Editor not available');
+      commitHistory();
+
+      const html = webflowImageFigure({ url, alt: currentAlt.trim(), width, height });
+      const figure = new DOMParser().parseFromString(html, 'text/html').body.firstChild;
+      const wid = 'wu' + (blockSeqRef.current++); // own prefix: rebuilds number widgets w0, w1…
+      widgetStoreRef.current.set(wid, html);
+      widgetOrigRef.current.set(wid, '');
+      const tmp = document.createElement('div');
+      tmp.innerHTML = widgetShellHTML(wid, figure);
+      const shell = tmp.firstChild;
+      shell.classList.add('co-edited');
+
+      const anchor = lastFocusedBlockRef.current?.isConnected ? lastFocusedBlockRef.current : null;
+      if (anchor) anchor.after(shell);
+      else editorRef.current.appendChild(shell);
+
+      flushEditorContent();
+
+      URL.revokeObjectURL(src);
+      setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' });
+      setStatus({ type: 'success', message: 'Image uploaded to Webflow Assets and inserted!' });
+      setTimeout(() => setStatus({ type: '', message: '' }), 2000);
+    } catch (err) {
+      console.error('Image upload error:', err);
+      setImageAltModal(m => ({ ...m, uploading: false, error: err.name === 'AbortError' ? 'Upload timed out' : err.message || 'Upload failed' }));
+    }
+  };
+
   const updateImageAlt = () => {
     if (imageAltModal.isUpload) { insertUploadedImage(); return; }
     const imgs = editableImages();
     if (imgs?.[imageAltModal.index]) {
+      commitHistory();
       imgs[imageAltModal.index].alt = imageAltModal.currentAlt;
       const b = imgs[imageAltModal.index].closest('.co-block');
       if (b) b.classList.toggle('co-edited', blockCleanHTML(b) !== blockOrigRef.current.get(b.getAttribute('data-co-bid')));
-      syncFromEditor();
+      flushEditorContent();
     }
     setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' });
   };
@@ -1253,15 +3008,79 @@ export default function ContentOps() {
     if (!confirm('Delete this image?')) return;
     const imgs = editableImages();
     if (imgs?.[imageAltModal.index]) {
+      commitHistory();
       const img = imgs[imageAltModal.index];
       const block = img.closest('.co-block');
       (img.closest('figure') || img).remove();
       if (block && !block.textContent.trim() && !block.querySelector('img')) block.remove();
-      syncFromEditor();
+      flushEditorContent();
     }
     setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' });
   };
 
+  // ── Lint findings → editor ──
+  // Editor child holding the index-th top-level element of assembleContent()
+  const editorBlockAt = (index) => {
+    let n = 0;
+    for (const child of Array.from(editorRef.current?.children || [])) {
+      const html = child.classList.contains('co-widget-shell') ? widgetStoreRef.current.get(child.getAttribute('data-co-wid')) || ''
+        : child.classList.contains('co-block') ? blockCleanHTML(child) : '';
+      if (!html) continue;
+      const t = document.createElement('template');
+      t.innerHTML = html;
+      n += t.content.children.length;
+      if (index < n) return child;
+    }
+    return null;
+  };
+
+  const focusField = (field) => {
+    const el = document.getElementById(`co-field-${field}`);
+    el?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el?.focus();
+  };
+
+  const revealBlock = (index) => {
+    if (editMode === 'html') { setStatus({ type: 'info', message: 'Apply the HTML source and switch to Edit to jump to blocks' }); return; }
+    const reveal = () => {
+      const el = editorBlockAt(index);
+      if (!el) return;
+      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      el.classList.add('co-lint-flash');
+      setTimeout(() => el.classList.remove('co-lint-flash'), 2000);
+    };
+    if (editMode === 'edit') reveal();
+    else { setEditMode('edit'); setTimeout(reveal, 100); } // wait for the editor rebuild
+  };
+
+  const jumpToFinding = (f) => (f.field ? focusField(f.field) : revealBlock(f.block));
+
+  // ── Changelog accept/reject ──
+  // Rebuilds the editor from originalContent + accepted changes. Manual edits
+  // made since the last rebuild would be lost, so ask first.
+  const applyChangeDecisions = (accepted, keepUnlisted) => {
+    if (!changeReview || !result) return;
+    const current = editMode === 'html' ? htmlSource : editMode === 'edit' ? flushEditorContent() : editedContent;
+    if (current !== editorBaselineRef.current && !confirm('Re-applying changes discards your manual edits. Continue?')) return;
+    const { html, missed } = applyChangeReview(changeReview.plan, accepted, keepUnlisted);
+    setChangeReview(cr => ({ ...cr, accepted, keepUnlisted, missed }));
+    liveContentRef.current = html;
+    setEditedContent(html);
+    setHighlightedData(createDiffView(result.originalContent, html));
+    if (editMode === 'html') setHtmlSource(html);
+    editorBaselineRef.current = html;
+    setContentVersion(v => v + 1);
+  };
+
+  const toggleChange = (idx) => {
+    const accepted = changeReview.accepted.map((on, i) => (i === idx ? !on : on));
+    applyChangeDecisions(accepted, changeReview.keepUnlisted);
+  };
+
+  const setAllChanges = (on) => {
+    applyChangeDecisions(changeReview.accepted.map(() => on), on);
+  };
+
   const switchToHtmlMode = () => { const html = flushEditorContent(); setHtmlSource(html); setEditMode('html'); };
 
   const applyHtmlSource = () => {
@@ -1282,102 +3101,294 @@ export default function ContentOps() {
 
   const getGscKeywordsForBlog = (blog) => {
     if (!gscData?.data) return null;
-    const slug = blog.fieldData.slug || blog.fieldData.name?.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-    return gscData.data[slug] || null;
+    return gscData.data[blogSlug(blog)] || null;
+  };
+
+  // Persists the snapshot list, dropping the oldest periods if localStorage is full,
+  // and the raw tables of periods no longer in it. Returns how many were dropped.
+  const saveGscHistory = (list) => {
+    let kept = list;
+    while (kept.length) {
+      try { localStorage.setItem(profileKey('gsc_history'), JSON.stringify(kept.map(dehydrateGscSnapshot))); break; }
+      catch (err) {
+        if (kept.length === 1) throw new Error('Browser storage is full — delete older GSC periods or clear other site data and try again');
+        kept = kept.slice(1);
+      }
+    }
+    if (!kept.length) localStorage.removeItem(profileKey('gsc_history'));
+    pruneGscRaws(activeProfile, kept.map(h => h.id)).catch(e => console.error('GSC table cleanup failed:', e));
+    setGscHistory(kept);
+    setGscData(kept[kept.length - 1] || null);
+    return list.length - kept.length;
   };
 
   const handleGscUpload = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (!files.length) return;
+    if (!gscPeriod.start || !gscPeriod.end || gscPeriod.start > gscPeriod.end) {
+      setStatus({ type: 'error', message: 'Set the date range the export covers first' });
+      return;
+    }
     setGscUploading(true);
+    setGscImportErrors([]);
     setStatus({ type: 'info', message: 'Processing GSC data...' });
+    try {
+      const raw = parseGscTables(await readGscTables(files));
+      const snap = hydrateGscSnapshot({ id: Date.now().toString(36), ...gscPeriod, uploadedAt: new Date().toISOString(), raw }, gscSettings, gscOverrides);
+      const total = snap.totalMatches;
+      if (!total) throw new Error(`No keyword matches found${gscSettings.pathPrefix ? ` for pages under ${gscSettings.pathPrefix}` : ''}`);
+      await saveGscRaw(activeProfile, snap.id, raw);
+      const dropped = saveGscHistory(addGscSnapshot(gscHistory, snap));
+      setStatus({ type: 'success', message: `${snap.source === 'gsc' ? 'Keywords from the query × page data for' : 'Matched keywords to'} ${total} blogs!${dropped ? ` Storage full — dropped the ${dropped} oldest period${dropped > 1 ? 's' : ''}.` : ''}` });
+      setTimeout(() => { setShowGscModal(false); setStatus({ type: '', message: '' }); }, 2000);
+    } catch (err) {
+      setGscImportErrors(err.sheets || []);
+      setStatus({ type: 'error', message: err.message });
+    } finally { setGscUploading(false); }
+  };
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      try {
-        if (typeof XLSX === 'undefined') {
-          await new Promise((res, rej) => {
-            const s = document.createElement('script');
-            s.src = 'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js';
-            s.onload = res; s.onerror = rej;
-            document.head.appendChild(s);
-          });
-        }
-        const wb = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
-        const qSheet = wb.SheetNames.find(n => n.toLowerCase().includes('quer'));
-        const pSheet = wb.SheetNames.find(n => n.toLowerCase().includes('page'));
-        if (!qSheet || !pSheet) throw new Error('Need Queries and Pages sheets');
-
-        const queries = XLSX.utils.sheet_to_json(wb.Sheets[qSheet]);
-        const pages = XLSX.utils.sheet_to_json(wb.Sheets[pSheet]);
-
-        const allQ = queries.map(r => ({
-          query: (r['Top queries'] || r['Query'] || '').toLowerCase(),
-          clicks: parseFloat(r['Clicks'] || 0),
-          impressions: parseFloat(r['Impressions'] || 0),
-          ctr: parseFloat(r['CTR'] || 0) * 100,
-          position: parseFloat(r['Position'] || 0)
-        })).filter(q => q.query);
-
-        const gscByUrl = {};
-        let total = 0;
-        for (const row of pages) {
-          const url = row['Top pages'] || row['Page'] || '';
-          if (!url.includes('/blogs/')) continue;
-          let slug = '';
-          try { slug = new URL(url).pathname.split('/').filter(Boolean).pop(); } catch { continue; }
-          if (!slug) continue;
-
-          const slugWords = slug.replace(/-/g, ' ').toLowerCase();
-          const matched = [];
-          for (const q of allQ) {
-            let score = 0;
-            q.query.split(' ').forEach(w => { if (w.length > 3 && slugWords.includes(w)) score += 2; });
-            if (slugWords.includes(q.query) || q.query.includes(slug.replace(/-/g, ' '))) score += 5;
-            if (score >= 4) matched.push({ ...q, matchScore: score });
-          }
-          matched.sort((a, b) => b.matchScore !== a.matchScore ? b.matchScore - a.matchScore : a.position - b.position);
-          const top = matched.slice(0, 10);
-          if (top.length) {
-            gscByUrl[slug] = {
-              url, clicks: parseFloat(row['Clicks'] || 0), impressions: parseFloat(row['Impressions'] || 0),
-              ctr: parseFloat(row['CTR'] || 0) * 100, position: parseFloat(row['Position'] || 0),
-              keywords: top, hasKeywords: true
-            };
-            total++;
-          }
-        }
+  // Re-derives every snapshot's matches; the stored raw tables don't change.
+  // The stored `data` is refreshed too, but load re-matches from the raw tables
+  // anyway, so a failed write here costs nothing.
+  const rematchGsc = (settings, overrides) => {
+    const list = gscHistory.map(h => hydrateGscSnapshot(h, settings, overrides));
+    try { localStorage.setItem(profileKey('gsc_history'), JSON.stringify(list.map(dehydrateGscSnapshot))); } catch {}
+    setGscHistory(list);
+    setGscData(list[list.length - 1] || null);
+  };
 
-        if (!total) throw new Error('No keyword matches found');
-        const obj = { data: gscByUrl, uploadedAt: new Date().toISOString(), totalMatches: total, blogsCount: Object.keys(gscByUrl).length };
-        localStorage.setItem('contentops_gsc_data', JSON.stringify(obj));
-        setGscData(obj);
-        setStatus({ type: 'success', message: `Matched keywords to ${total} blogs!` });
-        setTimeout(() => { setShowGscModal(false); setStatus({ type: '', message: '' }); }, 2000);
-      } catch (err) { setStatus({ type: 'error', message: err.message }); }
-      finally { setGscUploading(false); }
-    };
-    reader.onerror = () => { setStatus({ type: 'error', message: 'Failed to read file' }); setGscUploading(false); };
-    reader.readAsArrayBuffer(file);
+  const updateGscSettings = (patch) => {
+    const next = { ...gscSettings, ...patch };
+    setGscSettings(next);
+    localStorage.setItem(profileKey('gsc_settings'), JSON.stringify(next));
+    rematchGsc(next, gscOverrides);
   };
 
-  const saveConfig = () => {
+  const updateGscOverrides = (fn) => {
+    const next = fn(gscOverrides);
+    setGscOverrides(next);
+    localStorage.setItem(profileKey('gsc_overrides'), JSON.stringify(next));
+    rematchGsc(gscSettings, next);
+  };
+
+  const assignGscKeyword = (query, slug) => updateGscOverrides(o => ({
+    assign: { ...o.assign, [query]: slug },
+    exclude: { ...o.exclude, [slug]: (o.exclude[slug] || []).filter(q => q !== query) },
+  }));
+
+  const excludeGscKeyword = (slug, query) => updateGscOverrides(o => {
+    const { [query]: assigned, ...assign } = o.assign;
+    return { assign: assigned === slug ? assign : o.assign, exclude: { ...o.exclude, [slug]: [...(o.exclude[slug] || []), query] } };
+  });
+
+  const restoreGscKeyword = (slug, query) => updateGscOverrides(o => ({ ...o, exclude: { ...o.exclude, [slug]: (o.exclude[slug] || []).filter(q => q !== query) } }));
+
+  // Slug inputs in the match review commit on blur/Enter only: while typing
+  // "seo-tools" the text passes through "seo", which may be a slug too.
+  const commitGscAssign = (e, query, currentSlug) => {
+    const slug = e.target.value.trim();
+    if (!slug) return;
+    if (slug !== currentSlug && gscReviewView?.slugs.includes(slug)) assignGscKeyword(query, slug);
+    else e.target.value = ''; // not a known page, or the one it's already on
+  };
+
+  const unassignGscKeyword = (query) => updateGscOverrides(o => {
+    const { [query]: _, ...assign } = o.assign;
+    return { ...o, assign };
+  });
+
+  const deleteGscSnapshot = (id) => {
+    if (!window.confirm('Delete this GSC period?')) return;
+    saveGscHistory(gscHistory.filter(h => h.id !== id));
+  };
+
+  // Defaults to the two most recent periods; "before/after publish" re-picks around
+  // publishDay — the last live publish from this browser, else Webflow's lastPublished.
+  const openGscTrend = async (blog) => {
+    let published = 0;
+    try {
+      published = Math.max(0, ...(await listVersions(activeProfile, blog.id)).filter(v => v.kind === 'published' && v.mode !== 'draft').map(v => v.savedAt));
+    } catch {}
+    const publishedAt = published || Date.parse(blog.lastPublished || '');
+    const n = gscHistory.length;
+    setGscTrend({ blog, a: gscHistory[n - 2]?.id || '', b: gscHistory[n - 1]?.id || '', publishDay: publishedAt ? isoDay(publishedAt) : '' });
+  };
+
+  const pickGscPublishPeriods = () => {
+    if (!gscTrend.publishDay) return;
+    const { before, after } = gscPublishPeriods(gscHistory, gscTrend.publishDay);
+    if (!before || !after) {
+      setStatus({ type: 'error', message: `Need one uploaded period ending by ${gscTrend.publishDay} and one starting on/after it` });
+      return;
+    }
+    setGscTrend(t => ({ ...t, a: before.id, b: after.id }));
+  };
+
+  const saveConfig = async () => {
     if (!config.anthropicKey || !config.braveKey || !config.webflowKey || !config.collectionId) {
       setStatus({ type: 'error', message: 'Fill all required fields' }); return;
     }
-    localStorage.setItem('contentops_config', JSON.stringify(config));
-    setSavedConfig(config);
+    try {
+      let key = vaultKeyRef.current;
+      if (!key) {
+        // first save: the passphrase fields on the setup screen create the vault
+        const problem = passphraseProblem(passphrase);
+        if (problem) { setStatus({ type: 'error', message: problem }); return; }
+        const created = await createVault(passphrase.value);
+        localStorage.setItem('contentops_vault', JSON.stringify(created.vault));
+        key = vaultKeyRef.current = created.key;
+        lastActivityRef.current = Date.now();
+        setVaultState('unlocked');
+        setPassphrase({ value: '', confirm: '', error: '', busy: false });
+      }
+      localStorage.setItem(profileKey('config'), JSON.stringify(await sealConfig(key, config)));
+    } catch (e) {
+      setStatus({ type: 'error', message: `Could not encrypt the keys: ${e.message}` }); return;
+    }
+    setSavedConfig(withoutSecrets(config));
     setStatus({ type: 'success', message: 'Saved!' });
     testConnection();
   };
 
+  // ── Backend health ──
+  const checkBackend = async (url = backendUrl) => {
+    setBackendHealth({ url, checking: true });
+    let health;
+    try { health = await probeBackend(url); }
+    catch (e) { health = { reachable: false, error: e.name === 'AbortError' ? 'Timed out after 60s' : e.message }; }
+    setBackendHealth(cur => (cur?.url === url ? { url, checkedAt: Date.now(), ...health } : cur));
+  };
+
+  // Non-secret, so it is written straight into the profile's stored config
+  const updateBackendUrl = (url) => {
+    setConfig(c => ({ ...c, backendUrl: url }));
+    let stored = null;
+    try { stored = JSON.parse(localStorage.getItem(profileKey('config')) || 'null'); } catch {}
+    localStorage.setItem(profileKey('config'), JSON.stringify({ ...(stored || withoutSecrets(EMPTY_CONFIG)), backendUrl: url }));
+  };
+
+  // Capability of the backend in use: true / false, or null while unknown
+  const supports = (capability) => (backendHealth?.url === backendUrl ? backendSupports(backendHealth, capability) : null);
+
+  // ── Credential vault ──
+  const passphraseProblem = (p) =>
+    p.value.length < 8 ? 'Choose a passphrase of at least 8 characters to encrypt your keys' :
+    p.value !== p.confirm ? 'The passphrases do not match' : '';
+
+  // Unlocks the vault, or — first start after an upgrade — encrypts the
+  // plaintext keys of every profile under a new passphrase.
+  const unlockVault = async () => {
+    if (vaultState === 'migrate' && passphraseProblem(passphrase)) {
+      setPassphrase(p => ({ ...p, error: passphraseProblem(p) })); return;
+    }
+    setPassphrase(p => ({ ...p, busy: true, error: '' }));
+    try {
+      if (vaultState === 'migrate') {
+        const { vault, key } = await createVault(passphrase.value);
+        for (const p of profiles) {
+          const k = profileStorageKey(p.id, 'config');
+          const stored = JSON.parse(localStorage.getItem(k) || 'null');
+          if (hasPlaintextSecrets(stored)) localStorage.setItem(k, JSON.stringify(await sealConfig(key, stored)));
+        }
+        localStorage.setItem('contentops_vault', JSON.stringify(vault));
+        vaultKeyRef.current = key;
+      } else {
+        vaultKeyRef.current = await openVault(JSON.parse(localStorage.getItem('contentops_vault')), passphrase.value);
+      }
+    } catch (e) {
+      setPassphrase(p => ({ ...p, busy: false, error: e.message })); return;
+    }
+    lastActivityRef.current = Date.now();
+    setPassphrase({ value: '', confirm: '', error: '', busy: false });
+    setVaultState('unlocked');
+    loadProfileConfig(activeProfile);
+  };
+
+  const lockVault = () => {
+    vaultKeyRef.current = null;
+    setConfig(c => ({ ...EMPTY_CONFIG, ...withoutSecrets(c) }));
+    setVaultState('locked');
+  };
+
+  // Drops the vault and the stored keys of every profile; ids and settings stay
+  const forgetKeys = () => {
+    if (!confirm('Remove the saved API keys from every profile? Collection and site IDs stay, and you will need to enter the keys again.')) return;
+    profiles.forEach(p => {
+      const k = profileStorageKey(p.id, 'config');
+      try {
+        const stored = JSON.parse(localStorage.getItem(k) || 'null');
+        if (stored) localStorage.setItem(k, JSON.stringify(withoutSecrets(stored)));
+      } catch {}
+    });
+    localStorage.removeItem('contentops_vault');
+    vaultKeyRef.current = null;
+    setConfig(c => ({ ...EMPTY_CONFIG, ...withoutSecrets(c) }));
+    setSavedConfig(null);
+    setPassphrase({ value: '', confirm: '', error: '', busy: false });
+    setVaultState('none');
+    setView('setup');
+  };
+
+  // ── Workspace profiles ──
+  const saveProfiles = (list) => {
+    setProfiles(list);
+    localStorage.setItem('contentops_profiles', JSON.stringify(list));
+  };
+
+  // Cancels running Smart Checks and drops every in-memory cache before loading
+  // the other profile's data. Returns false if the user kept the current one.
+  const switchProfile = (id, list = profiles) => {
+    if (id === activeProfile) return true;
+    const busy = smartCheckCtrlRef.current || batchItems.some(i => i.status === 'running' || i.status === 'queued');
+    if (busy && !confirm('Smart Checks are still running. Switching profiles cancels them. Continue?')) return false;
+    smartCheckCtrlRef.current?.abort();
+    batchCtrlsRef.current.forEach(c => c.abort());
+    setBatchItems([]);
+    setSelectedIds(new Set());
+    setBlogs([]); setBlogCacheData(null); setCacheTimestamp(null);
+    setSelectedBlog(null); setResult(null); setHighlightedData(null); setChangeReview(null);
+    setDraftPrompt(null); setDryRun(null); setVersionHistory(null); setGscTrend(null); setGscReview(null);
+    setActiveProfile(id);
+    localStorage.setItem('contentops_active_profile', id);
+    setView(loadProfile(id) ? 'dashboard' : 'setup');
+    setStatus({ type: 'info', message: `Switched to ${list.find(p => p.id === id)?.name || id}` });
+    setTimeout(() => setStatus(st => (st.message.startsWith('Switched to') ? { type: '', message: '' } : st)), 2500);
+    return true;
+  };
+
+  const createProfile = () => {
+    const name = prompt('Name for the new profile (e.g. the site or collection it works on):');
+    if (!name?.trim()) return;
+    const profile = { id: `p${Date.now().toString(36)}`, name: name.trim() };
+    const list = [...profiles, profile];
+    saveProfiles(list);
+    switchProfile(profile.id, list);
+  };
+
+  const renameProfile = (name) => {
+    if (!name.trim()) return;
+    saveProfiles(profiles.map(p => (p.id === activeProfile ? { ...p, name: name.trim() } : p)));
+  };
+
+  const deleteProfile = () => {
+    const profile = profiles.find(p => p.id === activeProfile);
+    if (!profile || profile.id === DEFAULT_PROFILE.id) return;
+    if (!confirm(`Delete the "${profile.name}" profile with its keys, GSC data, brand registry, drafts and version history?`)) return;
+    const list = profiles.filter(p => p.id !== profile.id);
+    if (!switchProfile(DEFAULT_PROFILE.id, list)) return;
+    saveProfiles(list);
+    PROFILE_KEYS.forEach(k => localStorage.removeItem(profileStorageKey(profile.id, k)));
+    indexedDB.deleteDatabase(profileDBName(profile.id));
+  };
+
   const testConnection = async () => {
     setLoading(true);
     setStatus({ type: 'info', message: 'Testing connection (may take a moment if server is waking up)...' });
     try {
       const ctrl = new AbortController();
       setTimeout(() => ctrl.abort(), 45000);
-      const r = await fetch(`${BACKEND_URL}/api/webflow?collectionId=${config.collectionId}`, {
+      const r = await fetch(`${backendUrl}/api/webflow?collectionId=${config.collectionId}`, {
         headers: { 'Authorization': `Bearer ${config.webflowKey}` }, signal: ctrl.signal
       });
       if (!r.ok) throw new Error(`Error ${r.status}`);
@@ -1389,16 +3400,18 @@ export default function ContentOps() {
   };
 
   const fetchBlogsQuick = async () => {
+    const profileId = profileRef.current;
     setLoading(true);
     setStatus({ type: 'info', message: 'Quick loading...' });
     try {
       const ctrl = new AbortController();
       setTimeout(() => ctrl.abort(), 60000);
-      const r = await fetch(`${BACKEND_URL}/api/webflow?collectionId=${config.collectionId}`, {
+      const r = await fetch(`${backendUrl}/api/webflow?collectionId=${config.collectionId}`, {
         headers: { 'Authorization': `Bearer ${config.webflowKey}` }, signal: ctrl.signal
       });
       if (!r.ok) throw new Error(`Error ${r.status}`);
       const d = await r.json();
+      if (profileRef.current !== profileId) return; // switched profiles while loading
       if (d.siteId) setDetectedSiteId(d.siteId);
       const seen = new Set();
       const unique = (d.items || []).filter(i => { if (seen.has(i.id)) return false; seen.add(i.id); return true; });
@@ -1416,16 +3429,18 @@ export default function ContentOps() {
       setStatus({ type: 'success', message: `${blogCacheData.length} blogs (cached)` });
       return;
     }
+    const profileId = profileRef.current;
     setLoading(true);
     setStatus({ type: 'info', message: 'Loading blogs...' });
     try {
       const ctrl = new AbortController();
       setTimeout(() => ctrl.abort(), 180000);
-      const r = await fetch(`${BACKEND_URL}/api/webflow?collectionId=${config.collectionId}`, {
+      const r = await fetch(`${backendUrl}/api/webflow?collectionId=${config.collectionId}`, {
         headers: { 'Authorization': `Bearer ${config.webflowKey}` }, signal: ctrl.signal
       });
       if (!r.ok) { const e = await r.json(); throw new Error(e.error || `Error ${r.status}`); }
       const d = await r.json();
+      if (profileRef.current !== profileId) return; // switched profiles while loading
       if (d.siteId) setDetectedSiteId(d.siteId);
       const seen = new Set();
       const unique = (d.items || []).filter(i => { if (seen.has(i.id)) return false; seen.add(i.id); return true; });
@@ -1437,37 +3452,36 @@ export default function ContentOps() {
     } finally { setLoading(false); }
   };
 
-  const analyzeBlog = async (blog) => {
-    setSelectedBlog(blog);
-    setLoading(true);
-    setHighlightedData(null);
-    setResult(null);
-
+  // One Smart Check request → review result. Touches no UI state, so the
+  // single-blog flow and the batch queue share it. `signal` cancels it;
+  // `onProgress` receives stage events when the backend streams.
+  const runSmartCheck = async (blog, { signal, onProgress } = {}) => {
     const title = blog.fieldData.name;
-    setBlogTitle(title);
-
-    for (const f of ['excerpt','post-summary','summary','meta-description','description','seo-description']) {
-      if (blog.fieldData[f]) { setMetaDescription(blog.fieldData[f]); setMetaFieldName(f); break; }
-    }
-    setMetaTitle(blog.fieldData['meta-title'] || title);
-    setMetaSeoDescription(blog.fieldData['meta-description'] || blog.fieldData['excerpt'] || '');
-
     const gscInfo = getGscKeywordsForBlog(blog);
     const hasGsc = gscInfo?.hasKeywords && gscInfo.keywords.length > 0;
-
-    setStatus({ type: 'info', message: hasGsc ? `Optimizing with ${gscInfo.keywords.length} GSC keywords...` : 'Smart analysis in progress...' });
-
     const original = blog.fieldData['post-body'] || '';
 
-    const brandHints = detectBrandContext(title, original);
+    const brandHints = detectBrandContext(title, original, brandRegistry);
+    const stage = blogStage(blog);
     const needsTldr = !hasTldr(original);
 
+    const smartCheckCtrl = new AbortController();
+    let smartCheckTimer = null;
+    let timedOut = false;
+    const armTimeout = () => {
+      clearTimeout(smartCheckTimer);
+      smartCheckTimer = setTimeout(() => { timedOut = true; smartCheckCtrl.abort(); }, SMART_CHECK_TIMEOUT);
+    };
+    const relayAbort = () => smartCheckCtrl.abort();
+    signal?.addEventListener('abort', relayAbort);
+    armTimeout();
+
+    const streaming = supports('streaming') !== false;
+    let data;
     try {
-      const smartCheckCtrl = new AbortController();
-      const smartCheckTimer = setTimeout(() => smartCheckCtrl.abort(), 300000);
-      const r = await fetch(`${BACKEND_URL}/api/smartcheck`, {
+      const r = await fetch(`${backendUrl}/api/smartcheck`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Accept': streaming ? 'application/x-ndjson, text/event-stream, application/json' : 'application/json' },
         signal: smartCheckCtrl.signal,
         body: JSON.stringify({
           blogContent: original,
@@ -1477,27 +3491,41 @@ export default function ContentOps() {
           gscKeywords: hasGsc ? gscInfo.keywords.map(k => ({ keyword: k.query, position: k.position, clicks: k.clicks })) : null,
           brandHints: brandHints.length > 0 ? brandHints : null,
           addTldr: needsTldr,
+          funnelStage: stage,
+          stream: streaming, // backends without streaming ignore this and answer with plain JSON
           modelMode: 'hybrid' // 'hybrid' = Fable audits + Sonnet writes | 'fable' = max quality | 'sonnet' = cheapest
         })
       });
 
-      const ct = r.headers.get('content-type');
+      const ct = r.headers.get('content-type') || '';
+      if (r.ok && (ct.includes('application/x-ndjson') || ct.includes('text/event-stream'))) {
+        data = await readSmartCheckStream(r, ct, ev => { armTimeout(); onProgress?.(ev); });
+      } else {
+        if (!ct.includes('application/json')) { const t = await r.text(); console.error('Bad response:', t); throw new Error('Server error'); }
+        if (!r.ok) { const e = await r.json(); throw new Error(e.error || 'Analysis failed'); }
+        data = await r.json();
+      }
+    } catch (e) {
+      if (timedOut) throw new Error('Smart Check timed out');
+      throw e;
+    } finally {
       clearTimeout(smartCheckTimer);
-      if (!ct?.includes('application/json')) { const t = await r.text(); console.error('Bad response:', t); throw new Error('Server error'); }
-      if (!r.ok) { const e = await r.json(); throw new Error(e.error || 'Analysis failed'); }
+      signal?.removeEventListener('abort', relayAbort);
+    }
+    const updated = (data.updatedContent || original).replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
 
-      const data = await r.json();
-      let updated = (data.updatedContent || original).replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-      const highlighted = createHighlightedHTML(original, updated);
-      setHighlightedData(highlighted);
+    let message = data.fromCache ? 'From cache!' : hasGsc ? `Optimized with ${gscInfo.keywords.length} keywords!` : 'Analysis complete!';
+    if (needsTldr && data.tldrAdded) message += ' TL;DR added.';
 
-      setResult({
+    return {
+      message,
+      result: {
         searchesUsed: data.stats?.searches || 0,
         claudeCalls: 2,
         content: updated,
         originalContent: original,
         duration: parseFloat(data.stats?.elapsed) || 0,
-        blogType: detectBlogType(title),
+        blogType: stage,
         gscOptimized: hasGsc,
         gscKeywordsUsed: hasGsc ? gscInfo.keywords : null,
         fromCache: data.fromCache || false,
@@ -1507,59 +3535,294 @@ export default function ContentOps() {
         verified: data.verified || [],
         widgetWarnings: data.widgetWarnings || [],
         skipped: data.skipped || []
+      }
+    };
+  };
+
+  // Load a Smart Check result into the review view — fresh, or resumed from
+  // a draft with its edited content, fields and accept/reject decisions.
+  const openReview = (blog, res, { content = res.content, fields = blogReviewFields(blog), decisions = null, startedAt = Date.now() } = {}) => {
+    setSelectedBlog(blog);
+    setResult(res);
+    setBlogTitle(fields.blogTitle);
+    setMetaTitle(fields.metaTitle);
+    setMetaDescription(fields.metaDescription);
+    setMetaFieldName(fields.metaFieldName);
+    setMetaSeoDescription(fields.metaSeoDescription);
+    const plan = planChangeReview(res.originalContent, res.content, res.changelog);
+    const accepted = decisions?.accepted || res.changelog.map(() => true);
+    const keepUnlisted = decisions?.keepUnlisted ?? true;
+    setChangeReview({ plan, accepted, keepUnlisted, missed: decisions ? applyChangeReview(plan, accepted, keepUnlisted).missed : [] });
+    setHighlightedData(createDiffView(res.originalContent, content));
+    draftStartedRef.current = startedAt;
+    historyRef.current = { past: [], present: null, future: [] };
+    setHistoryFlags({ canUndo: false, canRedo: false });
+    liveContentRef.current = content;
+    setEditedContent(content);
+    setShowHighlights(true);
+    setEditMode('edit');
+    setContentVersion(v => v + 1);
+    setView('review');
+  };
+
+  const analyzeBlog = async (blog) => {
+    setSelectedBlog(blog);
+    setLoading(true);
+    setHighlightedData(null);
+    setChangeReview(null);
+    setResult(null);
+
+    const gscInfo = getGscKeywordsForBlog(blog);
+    const hasGsc = gscInfo?.hasKeywords && gscInfo.keywords.length > 0;
+    setStatus({ type: 'info', message: hasGsc ? `Optimizing with ${gscInfo.keywords.length} GSC keywords...` : 'Smart analysis in progress...' });
+
+    const ctrl = new AbortController();
+    smartCheckCtrlRef.current = ctrl;
+    setSmartCheckProgress({ stage: null, message: '', searches: 0, claims: 0 });
+    try {
+      const { result: res, message } = await runSmartCheck(blog, {
+        signal: ctrl.signal,
+        onProgress: ev => setSmartCheckProgress(p => ({ ...p, ...ev })),
       });
+      if (ctrl.signal.aborted) throw new Error('Cancelled');
+      openReview(blog, res);
+      setStatus({ type: 'success', message });
+    } catch (e) {
+      if (ctrl.signal.aborted) {
+        setSelectedBlog(null);
+        setStatus({ type: 'info', message: 'Smart Check cancelled' });
+      } else setStatus({ type: 'error', message: e.message });
+    } finally {
+      smartCheckCtrlRef.current = null;
+      setSmartCheckProgress(null);
+      setLoading(false);
+    }
+  };
 
-      setEditedContent(updated);
-      setShowHighlights(true);
-      setEditMode('edit');
-      setContentVersion(v => v + 1);
+  const cancelSmartCheck = () => smartCheckCtrlRef.current?.abort();
+  const smartCheckStageIndex = SMART_CHECK_STAGES.findIndex(s => s.key === smartCheckProgress?.stage);
 
-      let successMsg = data.fromCache ? 'From cache!' : hasGsc ? `Optimized with ${gscInfo.keywords.length} keywords!` : 'Analysis complete!';
-      if (needsTldr && data.tldrAdded) successMsg += ' TL;DR added.';
-      setStatus({ type: 'success', message: successMsg });
-      setView('review');
-    } catch (e) { setStatus({ type: 'error', message: e.message }); }
-    finally { setLoading(false); }
+  // ── Drafts ──
+  const openBlog = (blog) => {
+    if (drafts[blog.id]) setDraftPrompt({ blog, savedAt: drafts[blog.id] });
+    else analyzeBlog(blog);
   };
 
-  const getBlogLiveUrl = (blog, originalContent) => {
-    if (gscData?.data) {
-      const slug = blog.fieldData.slug || blog.fieldData.name?.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-      const entry = gscData.data[slug];
-      if (entry?.url) return entry.url.split('#')[0];
-    }
-    if (originalContent) {
-      try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(`<div>${originalContent}</div>`, 'text/html');
-        for (const a of doc.querySelectorAll('a[href]')) {
-          const href = a.getAttribute('href');
-          if (!href) continue;
-          try {
-            const url = new URL(href);
-            if (url.origin !== window.location.origin && url.hash && url.pathname.length > 1) {
-              return url.origin + url.pathname;
-            }
-          } catch {}
-        }
-      } catch {}
-    }
-    return null;
+  const restoreDraft = async (blog) => {
+    setDraftPrompt(null);
+    try {
+      const d = await loadDraft(activeProfile, blog.id);
+      if (!d) throw new Error('Draft not found');
+      openReview(blog, d.result, {
+        content: d.editedContent,
+        fields: { blogTitle: d.blogTitle, metaTitle: d.metaTitle, metaDescription: d.metaDescription, metaFieldName: d.metaFieldName, metaSeoDescription: d.metaSeoDescription },
+        decisions: d.changeDecisions,
+        startedAt: d.startedAt,
+      });
+      setStatus({ type: 'success', message: `Draft restored (saved ${timeAgo(d.savedAt)})` });
+    } catch (e) { setStatus({ type: 'error', message: `Could not restore draft: ${e.message}` }); }
   };
 
-  const fixAnchorLinksForWebflow = (html, blogLiveUrl) => {
-    if (!blogLiveUrl) return html;
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(`<div>${html}</div>`, 'text/html');
-    const root = doc.body.firstChild;
-    root.querySelectorAll('a[href]').forEach(a => {
+  const discardDraft = async (itemId) => {
+    try { await deleteDraft(activeProfile, itemId); } catch (e) { console.error('Draft delete failed:', e); }
+    setDrafts(d => { const { [itemId]: _, ...rest } = d; return rest; });
+  };
+
+  // ── Dashboard filters ──
+  const updateDashFilters = (patch) => setDashFilters(f => {
+    const next = { ...f, ...patch };
+    localStorage.setItem('contentops_dashboard_filters', JSON.stringify(next));
+    return next;
+  });
+
+  const changeDashLayout = (layout) => {
+    setDashLayout(layout);
+    localStorage.setItem('contentops_dashboard_layout', layout);
+    if (layout === 'ranking' && dashFilters.sort !== 'priority') updateDashFilters({ sort: 'priority', sortDir: 'desc' });
+  };
+
+  const sortDashBy = (sort) => updateDashFilters(
+    dashFilters.sort === sort ? { sortDir: dashFilters.sortDir === 'asc' ? 'desc' : 'asc' } : { sort, sortDir: sort === 'position' ? 'asc' : 'desc' }
+  );
+
+  // ── GSC opportunities ──
+  const updateGscExplorer = (patch) => setGscExplorer(f => {
+    const next = { ...f, ...patch };
+    localStorage.setItem('contentops_gsc_explorer', JSON.stringify(next));
+    return next;
+  });
+
+  const sortGscExplorerBy = (sort) => updateGscExplorer(
+    gscExplorer.sort === sort ? { sortDir: gscExplorer.sortDir === 'asc' ? 'desc' : 'asc' } : { sort, sortDir: sort === 'position' ? 'asc' : 'desc' }
+  );
+
+  // Smart Check progress lives on the dashboard, so go there before starting
+  const openOpportunity = (blog) => {
+    setView('dashboard');
+    openBlog(blog);
+  };
+
+  const gscPrevious = gscHistory.length > 1 ? gscHistory[gscHistory.length - 2] : null;
+  const gscTrendView = gscTrend && compareGscSnapshots(
+    gscHistory.find(h => h.id === gscTrend.a), gscHistory.find(h => h.id === gscTrend.b), blogSlug(gscTrend.blog)
+  );
+  const gscReviewView = gscReview && gscData?.raw ? gscReviewRows(gscData, gscSettings, gscOverrides, gscReview) : null;
+  const gscRows = view === 'opportunities' ? filterGscRows(gscExplorerRows(gscData?.data, gscExplorer.rows), gscExplorer) : [];
+  const blogsBySlug = view === 'opportunities' ? new Map(blogs.map(b => [blogSlug(b), b])) : null;
+
+  // ── Funnel stage ──
+  const blogStage = (blog) => stageOverrides[blog.id] || detectBlogType(blog.fieldData.name || '', funnelRules);
+  const visibleBlogs = filterAndSortBlogs(blogs, dashFilters, { gscFor: getGscKeywordsForBlog, hasDraft: b => !!drafts[b.id], stageFor: blogStage });
+
+  const setStageOverride = (itemId, stage) => setStageOverrides(o => {
+    const { [itemId]: _, ...rest } = o;
+    const next = stage ? { ...rest, [itemId]: stage } : rest;
+    localStorage.setItem(profileKey('funnel_overrides'), JSON.stringify(next));
+    return next;
+  });
+
+  const updateFunnelRules = (fn) => setFunnelRules(fr => {
+    const next = fn(fr);
+    localStorage.setItem(profileKey('funnel_rules'), JSON.stringify(next));
+    return next;
+  });
+  const patchFunnelRule = (ri, patch) => updateFunnelRules(fr => ({ ...fr, rules: fr.rules.map((r, i) => (i === ri ? { ...r, ...patch } : r)) }));
+  const moveFunnelRule = (ri, delta) => updateFunnelRules(fr => {
+    const rules = [...fr.rules];
+    const [r] = rules.splice(ri, 1);
+    rules.splice(Math.max(0, Math.min(rules.length, ri + delta)), 0, r);
+    return { ...fr, rules };
+  });
+
+  // ── Brand registry ──
+  const updateBrandRegistry = (fn) => setBrandRegistry(reg => {
+    const next = fn(reg);
+    localStorage.setItem(profileKey('brand_registry'), JSON.stringify(next));
+    return next;
+  });
+  const patchTrigger = (ci, patch) => updateBrandRegistry(reg => reg.map((c, i) => (i === ci ? { ...c, ...patch } : c)));
+  const patchVariant = (ci, vi, patch) => updateBrandRegistry(reg => reg.map((c, i) => (i !== ci ? c : {
+    ...c, variants: c.variants.map((v, j) => (j === vi ? { ...v, ...patch } : v)),
+  })));
+  const addTrigger = () => updateBrandRegistry(reg => [{ trigger: '', variants: [EMPTY_BRAND_VARIANT, EMPTY_BRAND_VARIANT] }, ...reg]);
+  const deleteTrigger = (ci) => {
+    if (!confirm(`Delete "${brandRegistry[ci].trigger || 'untitled'}" and all its variants?`)) return;
+    updateBrandRegistry(reg => reg.filter((_, i) => i !== ci));
+  };
+  const addVariant = (ci) => patchTrigger(ci, { variants: [...brandRegistry[ci].variants, EMPTY_BRAND_VARIANT] });
+  const deleteVariant = (ci, vi) => patchTrigger(ci, { variants: brandRegistry[ci].variants.filter((_, j) => j !== vi) });
+
+  const exportBrandRegistry = () => {
+    const blob = new Blob([JSON.stringify(cleanBrandRegistry(brandRegistry), null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'contentops-brand-registry.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const importBrandRegistry = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const data = validateBrandRegistry(JSON.parse(await file.text()));
+      if (!confirm(`Replace the current registry (${brandRegistry.length} triggers) with ${data.length} imported triggers?`)) return;
+      updateBrandRegistry(() => data);
+      setStatus({ type: 'success', message: `Imported ${data.length} brand triggers` });
+    } catch (err) { setStatus({ type: 'error', message: `Import failed: ${err.message}` }); }
+  };
+
+  const resetBrandRegistry = () => {
+    if (!confirm('Reset the brand registry to the built-in defaults? Your edits are lost.')) return;
+    updateBrandRegistry(() => KNOWN_BRAND_CONFUSIONS);
+  };
+
+  const runBrandTest = () => {
+    const blog = blogs.find(b => b.id === brandTest.blogId);
+    if (!blog) return;
+    setBrandTest(t => ({ ...t, output: analyzeBrandContext(blog.fieldData.name, blog.fieldData['post-body'] || '', brandRegistry) }));
+  };
+
+  // ── Batch queue ──
+  const toggleSelected = (id) => setSelectedIds(sel => {
+    const next = new Set(sel);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const enqueueSelected = () => {
+    const picked = blogs.filter(b => selectedIds.has(b.id));
+    if (!picked.length) return;
+    const withDrafts = picked.filter(b => drafts[b.id]).length;
+    if (withDrafts && !confirm(`${withDrafts} selected blog${withDrafts === 1 ? ' has' : 's have'} an unpublished draft. Re-running replaces it. Continue?`)) return;
+    setBatchItems(items => {
+      const running = new Set(items.filter(i => i.status === 'running').map(i => i.id));
+      const fresh = picked.filter(b => !running.has(b.id)).map(blog => ({ id: blog.id, blog, status: 'queued', error: '', result: null, startedAt: null, finishedAt: null }));
+      const freshIds = new Set(fresh.map(i => i.id));
+      return [...items.filter(i => !freshIds.has(i.id)), ...fresh];
+    });
+    setSelectedIds(new Set());
+  };
+
+  const changeBatchConcurrency = (n) => {
+    setBatchConcurrency(n);
+    localStorage.setItem('contentops_batch_concurrency', String(n));
+  };
+
+  const retryBatchItems = (ids) => setBatchItems(items => items.map(i => (ids.includes(i.id) && i.status === 'failed' ? { ...i, status: 'queued', error: '' } : i)));
+  const cancelQueued = () => setBatchItems(items => items.filter(i => i.status !== 'queued'));
+  const cancelBatchItem = (id) => batchCtrlsRef.current.get(id)?.abort();
+  const clearFinishedBatch = () => setBatchItems(items => items.filter(i => i.status === 'queued' || i.status === 'running'));
+
+  const openBatchResult = (item) => {
+    if (item.draft === 'saved' && drafts[item.id]) { restoreDraft(item.blog); return; }
+    if (item.draft === 'skipped' && drafts[item.id] && !confirm('This blog has a draft from your own review. Open the batch result instead? It replaces that draft.')) return;
+    openReview(item.blog, item.result);
+  };
+
+  const getBlogLiveUrl = (blog, originalContent) => {
+    if (gscData?.data) {
+      const entry = gscData.data[blogSlug(blog)];
+      if (entry?.url) return entry.url.split('#')[0];
+    }
+    if (originalContent) {
+      try {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(`<div>${originalContent}</div>`, 'text/html');
+        for (const a of doc.querySelectorAll('a[href]')) {
+          const href = a.getAttribute('href');
+          if (!href) continue;
+          try {
+            const url = new URL(href);
+            if (url.origin !== window.location.origin && url.hash && url.pathname.length > 1) {
+              return url.origin + url.pathname;
+            }
+          } catch {}
+        }
+      } catch {}
+    }
+    return null;
+  };
+
+  // `changes`, when given, collects { text, from, to } for every rewritten link
+  const fixAnchorLinksForWebflow = (html, blogLiveUrl, changes) => {
+    if (!blogLiveUrl) return html;
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(`<div>${html}</div>`, 'text/html');
+    const root = doc.body.firstChild;
+    const rewrite = (a, from, to) => {
+      a.setAttribute('href', to);
+      changes?.push({ text: a.textContent.trim(), from, to });
+    };
+    root.querySelectorAll('a[href]').forEach(a => {
       const href = a.getAttribute('href');
       if (!href) return;
-      if (href.startsWith('#')) { a.setAttribute('href', blogLiveUrl + href); return; }
+      if (href.startsWith('#')) { rewrite(a, href, blogLiveUrl + href); return; }
       try {
         const url = new URL(href);
         if (url.origin === window.location.origin && url.hash) {
-          a.setAttribute('href', blogLiveUrl + url.hash);
+          rewrite(a, href, blogLiveUrl + url.hash);
         }
       } catch {}
     });
@@ -1569,7 +3832,8 @@ export default function ContentOps() {
   // Publish-safe serialization: widgets pass through VERBATIM; only text
   // content goes through list sanitizing + anchor fixing. The old path ran a
   // full DOMParser round-trip over widgets too — undoing byte fidelity.
-  const splitForPublish = (html, blogLiveUrl) => {
+  // `report` ({ anchors: [], lists: [] }) collects what the pipeline changed.
+  const splitForPublish = (html, blogLiveUrl, report) => {
     const doc = new DOMParser().parseFromString(`<div id="__pub">${html}</div>`, 'text/html');
     const root = doc.getElementById('__pub');
     const parts = [];
@@ -1577,7 +3841,9 @@ export default function ContentOps() {
     const flushText = () => {
       if (!textBuf.length) return;
       const chunk = textBuf.join('\n');
-      parts.push(fixAnchorLinksForWebflow(sanitizeListHTML(chunk), blogLiveUrl));
+      const listed = sanitizeListHTML(chunk);
+      if (report) report.lists.push(...describeListFixes(chunk, listed));
+      parts.push(fixAnchorLinksForWebflow(listed, blogLiveUrl, report?.anchors));
       textBuf = [];
     };
     Array.from(root.childNodes).forEach(node => {
@@ -1590,30 +3856,197 @@ export default function ContentOps() {
     return parts.join('\n');
   };
 
-  const publishToWebflow = async () => {
+  // The exact PATCH body publishToWebflow sends, plus what the publish
+  // pipeline itself rewrote on the way.
+  const buildPublishPayload = (content) => {
+    const report = { anchors: [], lists: [] };
+    const blogLiveUrl = getBlogLiveUrl(selectedBlog, result?.originalContent);
+    const fixedHtml = splitForPublish(content, blogLiveUrl, report);
+    const fieldData = { name: blogTitle.trim(), 'post-body': fixedHtml };
+    fieldData['meta-title'] = (metaTitle.trim() || blogTitle.trim());
+    if (metaDescription.trim()) fieldData[metaFieldName] = metaDescription.trim();
+    if (metaSeoDescription.trim()) fieldData['meta-description'] = metaSeoDescription.trim();
+    if (metaSeoDescription.trim()) fieldData['excerpt'] = metaSeoDescription.trim();
+    return { fieldData, ...report };
+  };
+
+  // Current fieldData of the item straight from Webflow, or null if the
+  // backend can't return it.
+  const fetchLiveItem = async (itemId) => {
+    if (supports('liveItem') === false) return null;
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), 45000);
+    try {
+      const r = await fetch(`${backendUrl}/api/webflow?collectionId=${config.collectionId}&itemId=${itemId}`, {
+        headers: { 'Authorization': `Bearer ${config.webflowKey}` }, signal: ctrl.signal
+      });
+      if (!r.ok) return null;
+      const d = await r.json();
+      return d.fieldData || d.item?.fieldData || null;
+    } catch (e) {
+      console.error('Live item fetch failed:', e);
+      return null;
+    } finally { clearTimeout(t); }
+  };
+
+  // Dry run: build the payload and compare it with the live item without
+  // sending anything. Falls back to the item as loaded on the dashboard when
+  // the live fetch fails.
+  const openDryRun = async () => {
+    if (!result || !selectedBlog) return;
+    if (!blogTitle.trim()) { setStatus({ type: 'error', message: 'Title empty' }); return; }
+    const latestContent = flushEditorContent();
+    if (!latestContent.trim()) { setStatus({ type: 'error', message: 'Content empty' }); return; }
+
+    const payload = buildPublishPayload(latestContent);
+    setDryRun({ ...payload, rows: null, source: null });
+    const current = await fetchLiveItem(selectedBlog.id);
+    setDryRun(dr => dr && {
+      ...dr,
+      rows: diffPublishFields(current || selectedBlog.fieldData, payload.fieldData, metaFieldName),
+      source: current ? 'live' : 'loaded',
+    });
+  };
+
+  const changePublishMode = (mode) => {
+    setPublishMode(mode);
+    localStorage.setItem('contentops_publish_mode', mode);
+  };
+
+  // Reflect a successful save in the loaded item so the status badge and
+  // later dry runs see it without a reload.
+  const markItemSaved = (itemId, fieldData, mode, item) => {
+    const now = new Date().toISOString();
+    const patch = (b) => (b.id !== itemId ? b : {
+      ...b,
+      ...(item || {}),
+      fieldData: { ...b.fieldData, ...fieldData, ...(item?.fieldData || {}) },
+      ...(item ? {} : { lastUpdated: now, ...(mode === 'live' ? { lastPublished: now, isDraft: false } : {}) }),
+    });
+    setBlogs(bs => bs.map(patch));
+    setBlogCacheData(bs => bs && bs.map(patch));
+    setSelectedBlog(b => b && patch(b));
+  };
+
+  // mode 'live' updates the published item; 'draft' only writes the staged
+  // CMS item so a second reviewer can check it before it goes live.
+  const publishToWebflow = async (mode = publishMode) => {
     if (!result || !selectedBlog) return;
     if (!blogTitle.trim()) { setStatus({ type: 'error', message: 'Title empty' }); return; }
 
     const latestContent = flushEditorContent();
     if (!latestContent.trim()) { setStatus({ type: 'error', message: 'Content empty' }); return; }
 
+    const findings = lintContent({ html: latestContent, metaTitle: metaTitle.trim() || blogTitle.trim(), metaDescription: metaSeoDescription });
+    setLintFindings(findings);
+    if (!passesPublishChecks(findings, mode)) return;
+
+    await publishFieldData(buildPublishPayload(latestContent).fieldData, mode);
+  };
+
+  // Lint errors block going live; a draft for a second reviewer may still have them
+  const passesPublishChecks = (findings, mode, what = '') => {
+    const errors = findings.filter(f => f.severity === 'error').length;
+    if (errors && mode === 'live') {
+      setStatus({ type: 'error', message: `${errors} pre-publish check${errors === 1 ? '' : 's'} failed${what} — fix ${errors === 1 ? 'it' : 'them'} or stage as a draft.` });
+      return false;
+    }
+    return !findings.length || confirm(`${findings.length} pre-publish finding${findings.length === 1 ? '' : 's'}${what} (${errors} error${errors === 1 ? '' : 's'}). ${mode === 'live' ? 'Publish' : 'Stage'} anyway?`);
+  };
+
+  // ── Version history ──
+  const compareVersions = (history, a, b) => {
+    const va = history.versions.find(v => v.id === a), vb = history.versions.find(v => v.id === b);
+    return { ...history, a, b, rows: va && vb ? diffPublishFields(va.fieldData, vb.fieldData, history.metaField) : null };
+  };
+
+  // From the review view the editor's current content is listed as well; from
+  // the dashboard (standalone) only the saved versions are, so a published
+  // post can be rolled back without a Smart Check first.
+  const openVersionHistory = async (blog = selectedBlog) => {
+    const standalone = view !== 'review' || blog.id !== selectedBlog?.id;
+    try {
+      const saved = (await listVersions(activeProfile, blog.id)).sort((x, y) => y.savedAt - x.savedAt);
+      const history = { blog, standalone, metaField: standalone ? blogReviewFields(blog).metaFieldName : metaFieldName };
+      if (standalone) {
+        setVersionHistory(compareVersions({ ...history, versions: saved }, saved[1]?.id ?? saved[0]?.id ?? null, saved[0]?.id ?? null));
+        return;
+      }
+      const editor = { id: 'editor', kind: 'editor', fieldData: buildPublishPayload(flushEditorContent()).fieldData };
+      setVersionHistory(compareVersions({ ...history, versions: [editor, ...saved] }, saved[0]?.id ?? null, 'editor'));
+    } catch (e) { setStatus({ type: 'error', message: `Could not load history: ${e.message}` }); }
+  };
+
+  // Standalone restore: open the review with the version as the editor content,
+  // compared against the item as it is now. No Smart Check result is involved.
+  const restoreVersionToReview = (blog, v) => {
+    if (drafts[blog.id] && !confirm('This blog has an unpublished draft. Restoring this version replaces it. Continue?')) return;
+    const merged = { ...blog.fieldData, ...v.fieldData };
+    const res = { originalContent: blog.fieldData['post-body'] || '', content: merged['post-body'] || '', changelog: [], verified: [], blogType: blogStage(blog), restoredFrom: v.savedAt };
+    setVersionHistory(null);
+    openReview(blog, res, { fields: blogReviewFields({ fieldData: merged }) });
+    setStatus({ type: 'success', message: `Restored "${versionLabel(v)}" into the editor.` });
+  };
+
+  const restoreVersion = (v) => {
+    if (versionHistory.standalone) { restoreVersionToReview(versionHistory.blog, v); return; }
+    const f = v.fieldData;
+    const body = f['post-body'];
+    if (body != null) {
+      if (editMode === 'edit') flushEditorContent(); // pending typing stays undoable
+      liveContentRef.current = body;
+      setEditedContent(body);
+      setHighlightedData(createDiffView(result.originalContent, body));
+      if (editMode === 'html') setHtmlSource(body);
+      setContentVersion(n => n + 1);
+    }
+    if (f.name) setBlogTitle(f.name);
+    if (f['meta-title']) setMetaTitle(f['meta-title']);
+    if (f[metaFieldName]) setMetaDescription(f[metaFieldName]);
+    if (f['meta-description'] || f.excerpt) setMetaSeoDescription(f['meta-description'] || f.excerpt);
+    setVersionHistory(null);
+    setStatus({ type: 'success', message: `Restored "${versionLabel(v)}" into the editor. Undo reverts the content.` });
+  };
+
+  // Same gate as publishing from the editor, run on the version's own fields
+  // (falling back to the item's current values for fields it didn't send)
+  const republishVersion = (v) => {
+    const { blog, standalone, metaField } = versionHistory;
+    const merged = { ...blog.fieldData, ...v.fieldData };
+    const fields = blogReviewFields({ fieldData: merged });
+    const findings = lintContent({ html: merged['post-body'] || '', metaTitle: fields.metaTitle, metaDescription: fields.metaSeoDescription });
+    if (!passesPublishChecks(findings, publishMode, ` in "${versionLabel(v)}"`)) { setVersionHistory(null); return; } // status shows under the modal
+    if (!confirm(`${publishMode === 'live' ? 'Publish' : 'Stage'} "${versionLabel(v)}" ${publishMode === 'live' ? 'live' : 'as a CMS draft'} right away?${standalone ? '' : ' Editor changes are not included.'}`)) return;
+    setVersionHistory(null);
+    publishFieldData(v.fieldData, publishMode, { blog, metaField, keepDraft: standalone });
+  };
+
+  // PATCH fieldData to the selected item. Every save records the item's
+  // prior values and the sent payload in the local version history.
+  // A backend that predates draft staging ignores `mode=draft` and publishes
+  // live, so drafts are only sent once the backend has advertised draftMode.
+  // A re-publish from the dashboard passes its own blog and keeps that blog's draft.
+  const publishFieldData = async (fieldData, mode, { blog = selectedBlog, metaField = metaFieldName, keepDraft = false } = {}) => {
+    const live = mode === 'live';
+    if (!live && supports('draftMode') !== true) {
+      setStatus({ type: 'error', message: supports('draftMode') === false
+        ? 'This backend cannot stage CMS drafts — nothing was sent. Switch to Publish live or use a newer backend.'
+        : backendHealth?.checking
+          ? 'Still checking whether the backend can stage CMS drafts — nothing was sent. Try again in a moment.'
+          : 'The backend has not confirmed it can stage CMS drafts (no draftMode in /api/health) — nothing was sent, since an older backend would publish live.' });
+      return;
+    }
     setLoading(true);
-    setStatus({ type: 'info', message: 'Publishing...' });
+    setStatus({ type: 'info', message: live ? 'Publishing...' : 'Saving CMS draft...' });
 
-    const blogLiveUrl = getBlogLiveUrl(selectedBlog, result?.originalContent);
-    const fixedHtml = splitForPublish(latestContent, blogLiveUrl);
-    const fieldData = { name: blogTitle.trim(), 'post-body': fixedHtml };
-    fieldData['meta-title'] = (metaTitle.trim() || blogTitle.trim());
-    if (metaDescription.trim()) fieldData[metaFieldName] = metaDescription.trim();
-    if (metaSeoDescription.trim()) fieldData['meta-description'] = metaSeoDescription.trim();
-    if (metaSeoDescription.trim()) fieldData['excerpt'] = metaSeoDescription.trim();
+    const before = pickPublishFields((await fetchLiveItem(blog.id)) || blog.fieldData, metaField);
 
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
         if (attempt > 1) { setStatus({ type: 'info', message: `Retry ${attempt}/3...` }); await new Promise(r => setTimeout(r, 2000)); }
         const ctrl = new AbortController();
         setTimeout(() => ctrl.abort(), 120000);
-        const r = await fetch(`${BACKEND_URL}/api/webflow?collectionId=${config.collectionId}&itemId=${selectedBlog.id}`, {
+        const r = await fetch(`${backendUrl}/api/webflow?collectionId=${config.collectionId}&itemId=${blog.id}&mode=${mode}`, {
           method: 'PATCH',
           headers: { 'Authorization': `Bearer ${config.webflowKey}`, 'Content-Type': 'application/json' },
           body: JSON.stringify({ fieldData }),
@@ -1621,12 +4054,24 @@ export default function ContentOps() {
         });
         const d = await r.json();
         if (!r.ok) throw new Error(d.error || d.message || `HTTP ${r.status}`);
+        // Backstop: a backend that advertised draftMode but still published live
+        const savedAs = live || d.mode === 'draft' ? mode : 'live';
+        const savedAt = Date.now();
+        const blogName = blog.fieldData.name;
+        addVersion(activeProfile, { itemId: blog.id, blogName, savedAt, kind: 'before', mode: savedAs, fieldData: before })
+          .then(() => addVersion(activeProfile, { itemId: blog.id, blogName, savedAt: savedAt + 1, kind: 'published', mode: savedAs, fieldData }))
+          .catch(e => console.error('Version save failed:', e));
+        const verb = live ? 'Published' : 'Saved as CMS draft';
         if (d.verify && d.verify.dropped && d.verify.dropped.length) {
-          setStatus({ type: 'error', message: `⚠ Published, but Webflow DROPPED content: ${d.verify.dropped.join('; ')}. Do NOT go live — flag Ashwini with this message.` });
+          setStatus({ type: 'error', message: `⚠ ${verb}, but Webflow DROPPED content: ${d.verify.dropped.join('; ')}. Do NOT go live — flag Ashwini with this message.` });
           setLoading(false);
           return;
         }
-        setStatus({ type: 'success', message: d.verify ? 'Published! ✓ verified — all lists, tables & embeds stored intact' : 'Published!' });
+        markItemSaved(blog.id, fieldData, savedAs, d.item);
+        if (savedAs !== mode) setStatus({ type: 'error', message: '⚠ The backend does not support draft staging — this update was published LIVE.' });
+        else setStatus({ type: 'success', message: `${verb}!${d.verify ? ' ✓ verified — all lists, tables & embeds stored intact' : ''}${live ? '' : ' Not live yet.'}` });
+        setPublishedAs(savedAs);
+        if (!keepDraft) discardDraft(blog.id);
         setView('success');
         setLoading(false);
         return;
@@ -1640,6 +4085,37 @@ export default function ContentOps() {
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <style>{EDITOR_STYLES}</style>
 
+      {(vaultState === 'locked' || vaultState === 'migrate') && (
+        <div className="fixed inset-0 bg-[#0f172a] flex items-center justify-center z-[10000] p-4">
+          <form onSubmit={e => { e.preventDefault(); unlockVault(); }} className="bg-white rounded-xl p-6 max-w-sm w-full space-y-3">
+            <div className="flex items-center gap-2">
+              <Lock className="w-5 h-5 text-[#0ea5e9]" />
+              <h3 className="text-lg font-bold">{vaultState === 'migrate' ? 'Encrypt your saved keys' : 'Unlock ContentOps'}</h3>
+            </div>
+            <p className="text-sm text-gray-600">
+              {vaultState === 'migrate'
+                ? 'Your API keys are stored unencrypted in this browser. Choose a passphrase to encrypt them — you will need it to unlock the app.'
+                : 'Enter your passphrase to decrypt the saved API keys.'}
+            </p>
+            <input type="password" autoFocus value={passphrase.value} onChange={e => setPassphrase(p => ({ ...p, value: e.target.value, error: '' }))}
+              placeholder="Passphrase" autoComplete={vaultState === 'migrate' ? 'new-password' : 'current-password'}
+              className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+            {vaultState === 'migrate' && (
+              <input type="password" value={passphrase.confirm} onChange={e => setPassphrase(p => ({ ...p, confirm: e.target.value, error: '' }))}
+                placeholder="Repeat passphrase" autoComplete="new-password"
+                className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+            )}
+            {passphrase.error && <p className="text-sm text-red-600">{passphrase.error}</p>}
+            <button type="submit" disabled={passphrase.busy || !passphrase.value} className="w-full bg-[#0ea5e9] text-white py-2 rounded-lg font-semibold text-sm hover:bg-[#0284c7] disabled:opacity-50">
+              {passphrase.busy ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : vaultState === 'migrate' ? 'Encrypt keys' : 'Unlock'}
+            </button>
+            <button type="button" onClick={forgetKeys} className="w-full text-xs text-gray-500 hover:text-red-600 hover:underline">
+              {vaultState === 'migrate' ? 'Delete the saved keys instead' : 'Forgot the passphrase? Forget keys and enter them again'}
+            </button>
+          </form>
+        </div>
+      )}
+
       <nav className="bg-[#0f172a] border-b border-gray-800">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between h-16">
@@ -1648,10 +4124,22 @@ export default function ContentOps() {
               <span className="text-2xl font-bold text-white">ContentOps</span>
             </div>
             <div className="flex items-center gap-4">
+              <select value={activeProfile} onChange={e => (e.target.value === '__new' ? createProfile() : switchProfile(e.target.value))}
+                className="bg-slate-800 text-gray-200 border border-slate-600 rounded-lg px-2 py-1.5 text-sm max-w-[180px]" title="Workspace profile">
+                {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                <option value="__new">+ New profile…</option>
+              </select>
               {savedConfig && <>
                 <button onClick={() => setView('dashboard')} className="text-gray-300 hover:text-white font-medium">Dashboard</button>
-                <button onClick={() => setView('setup')} className="text-gray-300 hover:text-white"><Settings className="w-5 h-5" /></button>
+                <button onClick={() => setView('opportunities')} className="text-gray-300 hover:text-white font-medium">Opportunities</button>
+                <button onClick={() => { setBrandTest(t => ({ ...t, blogId: t.blogId || selectedBlog?.id || '' })); setView('brands'); }} className="text-gray-300 hover:text-white font-medium">Brands</button>
+                <button onClick={() => setView('funnel')} className="text-gray-300 hover:text-white font-medium">Funnel</button>
+                <button onClick={() => setView('setup')} className="relative text-gray-300 hover:text-white" title={backendHealth?.reachable === false ? `Backend unreachable: ${backendHealth.error}` : 'Settings'}>
+                  <Settings className="w-5 h-5" />
+                  {backendHealth?.reachable === false && <span className="absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full bg-red-500 border-2 border-[#0f172a]" />}
+                </button>
               </>}
+              {vaultState === 'unlocked' && <button onClick={lockVault} className="text-gray-300 hover:text-white" title="Lock — keys stay encrypted until you unlock again"><Lock className="w-5 h-5" /></button>}
             </div>
           </div>
         </div>
@@ -1682,6 +4170,16 @@ export default function ContentOps() {
             <div className="bg-white rounded-xl p-8 border shadow-sm">
               <h2 className="text-2xl font-bold mb-6">Configuration</h2>
               <div className="space-y-4">
+                <div className="flex items-end gap-2 pb-4 border-b">
+                  <div className="flex-1">
+                    <label className="block text-sm font-semibold mb-1">Profile name</label>
+                    <input key={activeProfile} defaultValue={profiles.find(p => p.id === activeProfile)?.name} onBlur={e => renameProfile(e.target.value)}
+                      className="w-full bg-gray-50 border rounded-lg px-4 py-3 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                  </div>
+                  {activeProfile !== DEFAULT_PROFILE.id && (
+                    <button onClick={deleteProfile} className="px-3 py-3 rounded-lg border text-sm text-gray-600 hover:border-red-300 hover:text-red-600">Delete profile</button>
+                  )}
+                </div>
                 {[
                   ['Claude API Key *', 'anthropicKey', 'sk-ant-...'],
                   ['Brave Search Key *', 'braveKey', 'BSA...'],
@@ -1704,11 +4202,327 @@ export default function ContentOps() {
                   Site ID auto-detects when you load blogs. Only enter manually if auto-detection fails.
                   {detectedSiteId && <span className="text-green-600 font-medium ml-1">Auto-detected: {detectedSiteId}</span>}
                 </p>
+                {vaultState === 'none' ? (
+                  <div className="bg-gray-50 border rounded-lg p-4 space-y-2">
+                    <p className="text-sm font-semibold">Passphrase</p>
+                    <p className="text-xs text-gray-500">Keys are encrypted in this browser with a passphrase you choose. You'll need it after every reload and after {AUTO_LOCK_MS / 60000} minutes of inactivity; it cannot be recovered.</p>
+                    <input type="password" value={passphrase.value} onChange={e => setPassphrase(p => ({ ...p, value: e.target.value }))} placeholder="Passphrase (8+ characters)" autoComplete="new-password"
+                      className="w-full bg-white border rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                    <input type="password" value={passphrase.confirm} onChange={e => setPassphrase(p => ({ ...p, confirm: e.target.value }))} placeholder="Repeat passphrase" autoComplete="new-password"
+                      className="w-full bg-white border rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-3 text-xs text-gray-500">
+                    <Lock className="w-3.5 h-3.5" />
+                    <span className="flex-1">Keys are stored encrypted with your passphrase.</span>
+                    <button onClick={forgetKeys} className="text-red-600 hover:underline">Forget keys</button>
+                  </div>
+                )}
                 <button onClick={saveConfig} disabled={loading} className="w-full bg-[#0ea5e9] text-white py-3 rounded-lg font-semibold hover:bg-[#0284c7] disabled:opacity-50">
                   {loading ? 'Saving...' : 'Save & Connect'}
                 </button>
               </div>
             </div>
+
+            <div className="bg-white rounded-xl p-8 border shadow-sm mt-6 space-y-4">
+              <div className="flex items-center justify-between gap-3">
+                <h2 className="text-xl font-bold">Backend</h2>
+                <button onClick={() => checkBackend()} disabled={backendHealth?.checking} className="px-3 py-1.5 rounded-lg border text-sm hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1.5">
+                  <RefreshCw className={`w-3.5 h-3.5 ${backendHealth?.checking ? 'animate-spin' : ''}`} />Check
+                </button>
+              </div>
+              <div>
+                <label className="block text-sm font-semibold mb-1">Endpoint <span className="text-gray-400 font-normal">(this profile)</span></label>
+                <input value={config.backendUrl || ''} onChange={e => updateBackendUrl(e.target.value)} placeholder={DEFAULT_BACKEND_URL}
+                  className="w-full bg-gray-50 border rounded-lg px-4 py-3 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                <div className="flex gap-2 mt-2 flex-wrap">
+                  {BACKEND_PRESETS.map(([label, url]) => (
+                    <button key={label} onClick={() => updateBackendUrl(url === DEFAULT_BACKEND_URL ? '' : url)}
+                      className={`px-2.5 py-1 rounded-full border text-xs ${backendUrl === url.replace(/\/+$/, '') ? 'border-[#0ea5e9] text-[#0ea5e9] font-semibold' : 'text-gray-600 hover:border-gray-400'}`}>{label}</button>
+                  ))}
+                </div>
+              </div>
+              {backendHealth?.url === backendUrl && (backendHealth.checking ? (
+                <p className="text-sm text-gray-500 flex items-center gap-2"><Loader className="w-4 h-4 animate-spin" />Checking — a sleeping host can take up to a minute to wake.</p>
+              ) : !backendHealth.reachable ? (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">Unreachable: {backendHealth.error}</div>
+              ) : (
+                <div className="space-y-3 text-sm">
+                  <div className="grid grid-cols-3 gap-2">
+                    <div className="border rounded-lg px-3 py-2">
+                      <p className="text-[10px] font-semibold text-gray-500 uppercase">Status</p>
+                      <p className={`font-bold ${backendHealth.status === 'ok' ? 'text-green-700' : backendHealth.status === 'no-health' ? 'text-amber-700' : 'text-red-700'}`}>
+                        {backendHealth.status === 'ok' ? 'Healthy' : backendHealth.status === 'no-health' ? 'Reachable' : `HTTP ${backendHealth.httpStatus}`}
+                      </p>
+                    </div>
+                    <div className="border rounded-lg px-3 py-2" title="First request, including any cold start">
+                      <p className="text-[10px] font-semibold text-gray-500 uppercase">First response</p>
+                      <p className="font-bold text-[#0f172a]">{backendHealth.coldMs.toLocaleString()} ms</p>
+                    </div>
+                    <div className="border rounded-lg px-3 py-2" title="Second request, host already awake">
+                      <p className="text-[10px] font-semibold text-gray-500 uppercase">Warm</p>
+                      <p className="font-bold text-[#0f172a]">{backendHealth.warmMs.toLocaleString()} ms</p>
+                    </div>
+                  </div>
+                  <p className="text-gray-600">
+                    Version: <span className="font-mono">{backendHealth.version || 'unknown'}</span>
+                    {backendHealth.status === 'no-health' && <span className="text-xs text-gray-500"> — no /api/health endpoint; features are tried and fall back as before.</span>}
+                  </p>
+                  {backendHealth.capabilities && (
+                    <ul className="space-y-1">
+                      {Object.entries(BACKEND_CAPABILITIES).map(([cap, label]) => (
+                        <li key={cap} className="flex items-center gap-2">
+                          {backendHealth.capabilities[cap] ? <CheckCircle className="w-4 h-4 text-green-500" /> : <X className="w-4 h-4 text-gray-400" />}
+                          <span className={backendHealth.capabilities[cap] ? 'text-gray-800' : 'text-gray-400'}>{label}</span>
+                        </li>
+                      ))}
+                      {Object.keys(backendHealth.capabilities).filter(c => !BACKEND_CAPABILITIES[c]).map(cap => (
+                        <li key={cap} className="flex items-center gap-2 text-gray-500"><CheckCircle className="w-4 h-4 text-gray-300" /><span className="font-mono text-xs">{cap}</span></li>
+                      ))}
+                    </ul>
+                  )}
+                  <p className="text-xs text-gray-400">Checked {timeAgo(backendHealth.checkedAt)}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {view === 'opportunities' && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between flex-wrap gap-3">
+              <div>
+                <h2 className="text-2xl font-bold">GSC opportunities</h2>
+                <p className="text-sm text-gray-500">{gscData ? `${gscPeriodLabel(gscData)} · ${gscData.blogsCount} blogs with matched keywords` : 'No GSC data yet.'}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {gscData?.raw && <button onClick={() => setGscReview({ pageQuery: '', queryQuery: '' })} className="px-3 py-2 rounded-lg border text-sm font-semibold text-purple-700 hover:bg-purple-50">Review matches</button>}
+                <button onClick={() => setShowGscModal(true)} className="bg-purple-600 text-white px-3 py-2 rounded-lg flex items-center gap-2 hover:bg-purple-700 text-sm font-semibold">
+                  <TrendingUp className="w-4 h-4" />{gscData ? 'Upload new period' : 'Upload GSC'}
+                </button>
+              </div>
+            </div>
+
+            {gscData && <>
+              <div className="flex items-center gap-2 flex-wrap text-sm">
+                <span className="text-gray-500">Presets</span>
+                {GSC_PRESETS.map(p => (
+                  <button key={p.key} onClick={() => updateGscExplorer({ ...DEFAULT_GSC_EXPLORER, rows: gscExplorer.rows, ...p.filters })}
+                    className="px-3 py-1 rounded-full border bg-white hover:border-purple-400 hover:text-purple-700">{p.label}</button>
+                ))}
+              </div>
+
+              <div className="bg-white rounded-xl border p-3 flex items-center gap-2 flex-wrap text-sm">
+                <div className="flex border rounded-lg overflow-hidden">
+                  {[['keywords', 'Keywords'], ['pages', 'Pages']].map(([v, label]) => (
+                    <button key={v} onClick={() => updateGscExplorer({ rows: v })} className={`px-3 py-1.5 ${gscExplorer.rows === v ? 'bg-[#0f172a] text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>{label}</button>
+                  ))}
+                </div>
+                <div className="relative flex-1 min-w-[180px]">
+                  <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+                  <input value={gscExplorer.query} onChange={e => updateGscExplorer({ query: e.target.value })} placeholder="Filter slug or keyword..."
+                    className="w-full border rounded-lg pl-8 pr-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                </div>
+                {[['minImpressions', 'Impr ≥'], ['minClicks', 'Clicks ≥'], ['minPosition', 'Pos ≥'], ['maxPosition', 'Pos ≤']].map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-1 text-gray-600">
+                    {label}
+                    <input type="number" min="0" value={gscExplorer[key]} onChange={e => updateGscExplorer({ [key]: e.target.value })} className="w-20 border rounded-lg px-2 py-1.5 text-sm" />
+                  </label>
+                ))}
+                <label className="flex items-center gap-1.5 text-gray-600">
+                  <input type="checkbox" checked={gscExplorer.lowCtr} onChange={e => updateGscExplorer({ lowCtr: e.target.checked })} className="rounded" />
+                  Low CTR
+                </label>
+                {JSON.stringify(gscExplorer) !== JSON.stringify({ ...DEFAULT_GSC_EXPLORER, rows: gscExplorer.rows }) && (
+                  <button onClick={() => updateGscExplorer({ ...DEFAULT_GSC_EXPLORER, rows: gscExplorer.rows })} className="text-gray-500 hover:underline px-1">Reset</button>
+                )}
+              </div>
+
+              {!blogs.length && <p className="text-xs text-amber-700">Load blogs on the Dashboard to open rows in Smart Check.</p>}
+
+              <div className="bg-white rounded-xl border overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                    <tr>
+                      <th className="px-3 py-2 text-left">{gscExplorer.rows === 'pages' ? 'Page' : 'Keyword'}</th>
+                      {[['clicks', 'Clicks'], ['impressions', 'Impr'], ['ctr', 'CTR'], ['position', 'Pos'], ['ctrGap', 'CTR gap']].map(([key, label]) => (
+                        <th key={key} onClick={() => sortGscExplorerBy(key)} className="px-3 py-2 text-right cursor-pointer select-none hover:text-gray-800 whitespace-nowrap">
+                          {label}{gscExplorer.sort === key && (gscExplorer.sortDir === 'asc' ? ' ↑' : ' ↓')}
+                        </th>
+                      ))}
+                      <th className="px-3 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {gscRows.slice(0, 500).map(row => {
+                      const blog = blogsBySlug.get(row.slug);
+                      return (
+                        <tr key={`${row.slug}|${row.query}`} className="border-t">
+                          <td className="px-3 py-2">
+                            <p className="font-medium text-[#0f172a]">{row.query || blog?.fieldData.name || row.slug}</p>
+                            <p className="text-xs text-gray-500 truncate max-w-md">
+                              {row.query ? (blog?.fieldData.name || row.slug) : `/${row.slug} · ${row.keywordCount} keywords`}
+                            </p>
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatGscMetric('clicks', row.clicks)}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatGscMetric('impressions', row.impressions)}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatGscMetric('ctr', row.ctr)}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatGscMetric('position', row.position)}</td>
+                          <td className={`px-3 py-2 text-right ${row.ctr < row.expectedCtr * LOW_CTR_RATIO ? 'text-red-600 font-semibold' : 'text-gray-400'}`} title={`~${row.expectedCtr}% expected at this position`}>
+                            {row.ctrGap > 0 ? `−${row.ctrGap.toFixed(1)} pts` : '—'}
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <button onClick={() => openOpportunity(blog)} disabled={!blog || loading} title={blog ? '' : 'Blog not loaded'}
+                              className="bg-[#0ea5e9] text-white px-3 py-1.5 rounded-lg text-xs font-semibold hover:bg-[#0284c7] disabled:opacity-40 whitespace-nowrap">Smart Check</button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {!gscRows.length && <p className="text-sm text-gray-500 text-center py-8">No rows match these filters.</p>}
+                {gscRows.length > 500 && <p className="text-xs text-gray-500 text-center py-2 border-t">Showing 500 of {gscRows.length.toLocaleString()} rows — narrow the filters to see the rest.</p>}
+              </div>
+            </>}
+          </div>
+        )}
+
+        {view === 'funnel' && (
+          <div className="max-w-3xl mx-auto space-y-4">
+            <div className="flex items-center justify-between flex-wrap gap-3">
+              <div>
+                <h2 className="text-2xl font-bold">Funnel stage rules</h2>
+                <p className="text-sm text-gray-500">Rules run top to bottom on the blog title; the first match sets the stage. The stage is sent with every Smart Check.</p>
+              </div>
+              <div className="flex items-center gap-2 text-sm">
+                <button onClick={() => updateFunnelRules(fr => ({ ...fr, rules: [...fr.rules, { stage: 'MOFU', keywords: [] }] }))} className="bg-[#0ea5e9] text-white px-3 py-2 rounded-lg font-semibold hover:bg-[#0284c7]">+ Rule</button>
+                <button onClick={() => { if (confirm('Reset funnel rules to the built-in defaults?')) updateFunnelRules(() => DEFAULT_FUNNEL_RULES); }} className="text-gray-500 hover:underline px-1">Reset to defaults</button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl border p-4 flex items-center gap-2 flex-wrap">
+              <input value={funnelTestTitle} onChange={e => setFunnelTestTitle(e.target.value)} placeholder="Try a title, e.g. HubSpot vs Salesforce"
+                className="flex-1 min-w-[240px] border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+              {funnelTestTitle.trim() && <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs font-semibold">{detectBlogType(funnelTestTitle, funnelRules)}</span>}
+            </div>
+
+            {funnelRules.rules.map((rule, ri) => (
+              <div key={ri} className="bg-white rounded-xl border p-4 space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-gray-400 w-5">{ri + 1}.</span>
+                  <select value={rule.stage} onChange={e => patchFunnelRule(ri, { stage: e.target.value })} className="border rounded-lg px-2 py-1 text-sm font-semibold bg-white">
+                    {FUNNEL_STAGES.map(st => <option key={st} value={st}>{st}</option>)}
+                  </select>
+                  <span className="text-xs text-gray-500 flex-1">if the title contains any of:</span>
+                  <button onClick={() => moveFunnelRule(ri, -1)} disabled={ri === 0} className="text-xs px-2 py-1 rounded border disabled:opacity-30">↑</button>
+                  <button onClick={() => moveFunnelRule(ri, 1)} disabled={ri === funnelRules.rules.length - 1} className="text-xs px-2 py-1 rounded border disabled:opacity-30">↓</button>
+                  <button onClick={() => updateFunnelRules(fr => ({ ...fr, rules: fr.rules.filter((_, i) => i !== ri) }))} className="text-xs px-2 py-1 rounded border text-gray-500 hover:border-red-300 hover:text-red-600">🗑</button>
+                </div>
+                <textarea value={rule.keywords.join('\n')} onChange={e => patchFunnelRule(ri, { keywords: e.target.value.split('\n') })} rows={5}
+                  placeholder="One keyword per line" className="w-full border rounded-lg px-3 py-2 text-xs font-mono resize-y focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+              </div>
+            ))}
+
+            <div className="bg-white rounded-xl border p-4 flex items-center gap-2 text-sm">
+              <span className="text-gray-600">When no rule matches, use</span>
+              <select value={funnelRules.fallback} onChange={e => updateFunnelRules(fr => ({ ...fr, fallback: e.target.value }))} className="border rounded-lg px-2 py-1 text-sm font-semibold bg-white">
+                {FUNNEL_STAGES.map(st => <option key={st} value={st}>{st}</option>)}
+              </select>
+              <span className="text-gray-400 text-xs ml-auto">{Object.keys(stageOverrides).length} blog{Object.keys(stageOverrides).length === 1 ? '' : 's'} overridden manually</span>
+              {Object.keys(stageOverrides).length > 0 && (
+                <button onClick={() => { if (!confirm('Clear all per-blog stage overrides?')) return; setStageOverrides({}); localStorage.removeItem(profileKey('funnel_overrides')); }} className="text-xs text-gray-500 hover:underline">Clear</button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {view === 'brands' && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between flex-wrap gap-3">
+              <div>
+                <h2 className="text-2xl font-bold">Brand disambiguation</h2>
+                <p className="text-sm text-gray-500">Ambiguous brand names and how to tell them apart. Hints are sent with every Smart Check.</p>
+              </div>
+              <div className="flex items-center gap-2 flex-wrap text-sm">
+                <button onClick={addTrigger} className="bg-[#0ea5e9] text-white px-3 py-2 rounded-lg font-semibold hover:bg-[#0284c7]">+ Trigger</button>
+                <button onClick={exportBrandRegistry} className="bg-white border px-3 py-2 rounded-lg hover:bg-gray-50">Export JSON</button>
+                <input type="file" accept=".json,application/json" id="brand-import" className="hidden" onChange={importBrandRegistry} />
+                <label htmlFor="brand-import" className="bg-white border px-3 py-2 rounded-lg hover:bg-gray-50 cursor-pointer">Import JSON</label>
+                <button onClick={resetBrandRegistry} className="text-gray-500 hover:underline px-1">Reset to defaults</button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl border p-4 space-y-3">
+              <div className="flex items-center gap-2 flex-wrap">
+                <select value={brandTest.blogId} onChange={e => setBrandTest({ blogId: e.target.value, output: null })} className="flex-1 min-w-[240px] border rounded-lg px-3 py-2 text-sm bg-white">
+                  <option value="">{blogs.length ? 'Choose a blog to test against...' : 'Load blogs on the dashboard first'}</option>
+                  {blogs.map(b => <option key={b.id} value={b.id}>{b.fieldData.name}</option>)}
+                </select>
+                <button onClick={runBrandTest} disabled={!brandTest.blogId} className="bg-[#0f172a] text-white px-3 py-2 rounded-lg text-sm font-semibold hover:bg-slate-700 disabled:opacity-40">Test against this blog</button>
+              </div>
+              {brandTest.output && (
+                <div className="space-y-3">
+                  {!brandTest.output.triggers.length && <p className="text-sm text-gray-500">No registry trigger appears in this blog.</p>}
+                  {brandTest.output.triggers.map(tr => (
+                    <div key={tr.trigger} className="border rounded-lg p-3">
+                      <p className="text-sm font-semibold mb-2">"{tr.trigger}"</p>
+                      {tr.scored.length ? (
+                        <table className="w-full text-xs mb-2">
+                          <thead className="text-gray-500"><tr><th className="text-left font-medium">Variant</th><th className="text-right font-medium">Signals</th><th className="text-right font-medium">Anti</th><th className="text-right font-medium">Net</th></tr></thead>
+                          <tbody>
+                            {tr.scored.map((v, i) => (
+                              <tr key={v.name} className={i === 0 ? 'font-semibold text-[#0f172a]' : 'text-gray-600'}>
+                                <td>{v.name}</td><td className="text-right">{v.score}</td><td className="text-right">−{v.antiScore}</td><td className="text-right">{v.net}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      ) : <p className="text-xs text-gray-500 mb-2">Only one variant — nothing to disambiguate.</p>}
+                    </div>
+                  ))}
+                  {brandTest.output.hints.length > 0 && (
+                    <div>
+                      <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Hints sent to Smart Check</p>
+                      {brandTest.output.hints.map((h, i) => <p key={i} className="text-xs bg-gray-50 border rounded p-2 mb-1.5 text-gray-700">{h}</p>)}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {brandRegistry.map((c, ci) => (
+              <div key={ci} className="bg-white rounded-xl border p-4 space-y-3">
+                <div className="flex items-center gap-2">
+                  <label className="text-xs font-semibold text-gray-500 uppercase">Trigger</label>
+                  <input value={c.trigger} onChange={e => patchTrigger(ci, { trigger: e.target.value })} placeholder="e.g. copilot"
+                    className="flex-1 border rounded-lg px-3 py-1.5 text-sm font-semibold focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                  <button onClick={() => addVariant(ci)} className="text-xs px-3 py-1.5 rounded-lg border hover:border-sky-400 hover:text-sky-600">+ Variant</button>
+                  <button onClick={() => deleteTrigger(ci)} className="text-xs px-2 py-1.5 rounded-lg border text-gray-500 hover:border-red-300 hover:text-red-600">🗑</button>
+                </div>
+                {c.variants.length < 2 && <p className="text-xs text-amber-700">Needs at least two variants to produce a hint.</p>}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {c.variants.map((v, vi) => (
+                    <div key={vi} className="border rounded-lg p-3 space-y-2 bg-gray-50">
+                      <div className="flex gap-2">
+                        <input value={v.name} onChange={e => patchVariant(ci, vi, { name: e.target.value })} placeholder="Name" className="flex-1 border rounded px-2 py-1 text-sm bg-white" />
+                        <input value={v.domain || ''} onChange={e => patchVariant(ci, vi, { domain: e.target.value })} placeholder="domain (optional)" className="w-36 border rounded px-2 py-1 text-sm bg-white" />
+                        <button onClick={() => deleteVariant(ci, vi)} className="text-xs text-gray-400 hover:text-red-500" title="Delete variant">✕</button>
+                      </div>
+                      <input value={v.description} onChange={e => patchVariant(ci, vi, { description: e.target.value })} placeholder="Description used in the hint" className="w-full border rounded px-2 py-1 text-sm bg-white" />
+                      <div className="grid grid-cols-2 gap-2">
+                        {[['signals', 'Signals'], ['antiSignals', 'Anti-signals']].map(([key, label]) => (
+                          <div key={key}>
+                            <label className="block text-[11px] font-semibold text-gray-500 mb-0.5">{label} <span className="font-normal">(one per line)</span></label>
+                            <textarea value={(v[key] || []).join('\n')} onChange={e => patchVariant(ci, vi, { [key]: e.target.value.split('\n') })} rows={4}
+                              className="w-full border rounded px-2 py-1 text-xs bg-white font-mono resize-y" />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
           </div>
         )}
 
@@ -1729,30 +4543,224 @@ export default function ContentOps() {
               </div>
             </div>
 
-            {loading ? (
+            {blogs.length > 0 && (
+              <div className="bg-white rounded-xl border p-3 mb-3 flex items-center gap-2 flex-wrap text-sm">
+                <div className="relative flex-1 min-w-[200px]">
+                  <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+                  <input value={dashFilters.query} onChange={e => updateDashFilters({ query: e.target.value })} placeholder="Search title or slug..."
+                    className="w-full border rounded-lg pl-8 pr-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                </div>
+                {[
+                  ['funnel', [['all', 'All stages'], ['TOFU', 'TOFU'], ['MOFU', 'MOFU'], ['BOFU', 'BOFU']]],
+                  ['gsc', [['all', 'GSC: any'], ['with', 'Has GSC data'], ['without', 'No GSC data']]],
+                  ['draft', [['all', 'Drafts: any'], ['with', 'Has draft'], ['without', 'No draft']]],
+                  ['updated', [['all', 'Updated: any time'], ['recent', 'Updated in last 30 days'], ['6m', 'Not updated in 6+ months'], ['12m', 'Not updated in 12+ months'], ['24m', 'Not updated in 24+ months']]],
+                  ['sort', [['default', 'Sort: Webflow order'], ['priority', 'Sort: refresh priority'], ['clicks', 'Sort: GSC clicks'], ['impressions', 'Sort: impressions'], ['position', 'Sort: position'], ['updated', 'Sort: last updated']]],
+                ].map(([key, options]) => (
+                  <select key={key} value={dashFilters[key]} onChange={e => updateDashFilters({ [key]: e.target.value })} className="border rounded-lg px-2 py-1.5 text-sm bg-white">
+                    {options.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+                  </select>
+                ))}
+                {dashFilters.sort !== 'default' && (
+                  <button onClick={() => updateDashFilters({ sortDir: dashFilters.sortDir === 'asc' ? 'desc' : 'asc' })} className="border rounded-lg px-2 py-1.5 text-sm hover:bg-gray-50" title="Sort direction">
+                    {dashFilters.sortDir === 'asc' ? '↑ Asc' : '↓ Desc'}
+                  </button>
+                )}
+                {JSON.stringify(dashFilters) !== JSON.stringify(DEFAULT_DASH_FILTERS) && (
+                  <button onClick={() => updateDashFilters(DEFAULT_DASH_FILTERS)} className="text-gray-500 hover:underline px-1">Reset</button>
+                )}
+              </div>
+            )}
+
+            {blogs.length > 0 && (
+              <div className="flex items-center gap-3 mb-4 flex-wrap text-sm">
+                <div className="flex rounded-lg border bg-white overflow-hidden text-xs font-medium">
+                  {[['grid', 'Grid'], ['ranking', 'Refresh next']].map(([layout, label]) => (
+                    <button key={layout} onClick={() => changeDashLayout(layout)}
+                      className={`px-2.5 py-1.5 ${dashLayout === layout ? 'bg-sky-100 text-sky-800' : 'text-gray-600 hover:bg-gray-50'}`}>{label}</button>
+                  ))}
+                </div>
+                <span className="text-gray-500">Showing {visibleBlogs.length} of {blogs.length}</span>
+                <span className="text-gray-500">{selectedIds.size} selected</span>
+                <button onClick={() => setSelectedIds(new Set(visibleBlogs.map(b => b.id)))} className="text-[#0ea5e9] hover:underline">Select all shown</button>
+                {selectedIds.size > 0 && <button onClick={() => setSelectedIds(new Set())} className="text-gray-500 hover:underline">Clear</button>}
+                <label className="flex items-center gap-1.5 text-gray-600 ml-auto">
+                  Concurrency
+                  <select value={batchConcurrency} onChange={e => changeBatchConcurrency(parseInt(e.target.value, 10))} className="border rounded px-2 py-1 text-sm bg-white">
+                    {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                </label>
+                <button onClick={enqueueSelected} disabled={!selectedIds.size} className="bg-[#0f172a] text-white px-3 py-1.5 rounded-lg font-semibold hover:bg-slate-700 disabled:opacity-40">
+                  Queue {selectedIds.size || ''} for Smart Check
+                </button>
+              </div>
+            )}
+
+            {batchItems.length > 0 && (
+              <div className="bg-white rounded-xl border p-4 mb-4">
+                <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+                  <p className="text-sm font-semibold text-[#0f172a]">
+                    Batch Smart Check — {batchItems.filter(i => i.status === 'done').length}/{batchItems.length} done
+                    {batchItems.some(i => i.status === 'failed') && <span className="text-red-600"> · {batchItems.filter(i => i.status === 'failed').length} failed</span>}
+                  </p>
+                  <div className="flex gap-2 text-xs">
+                    {batchItems.some(i => i.status === 'failed') && <button onClick={() => retryBatchItems(batchItems.map(i => i.id))} className="px-2.5 py-1 rounded border hover:border-sky-400 hover:text-sky-600">Retry failed</button>}
+                    {batchItems.some(i => i.status === 'queued') && <button onClick={cancelQueued} className="px-2.5 py-1 rounded border hover:border-red-300 hover:text-red-600">Cancel queued</button>}
+                    <button onClick={clearFinishedBatch} className="px-2.5 py-1 rounded border hover:bg-gray-50">Clear finished</button>
+                  </div>
+                </div>
+                <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden mb-3">
+                  <div className="h-full bg-[#0ea5e9] transition-all" style={{ width: `${(batchItems.filter(i => i.status === 'done' || i.status === 'failed').length / batchItems.length) * 100}%` }} />
+                </div>
+                <div className="space-y-1.5 max-h-72 overflow-y-auto">
+                  {batchItems.map(item => (
+                    <div key={item.id} className="flex items-center gap-3 text-xs border rounded-lg px-3 py-2">
+                      {item.status === 'running' ? <Loader className="w-3.5 h-3.5 text-[#0ea5e9] animate-spin shrink-0" /> :
+                       item.status === 'done' ? <CheckCircle className="w-3.5 h-3.5 text-green-500 shrink-0" /> :
+                       item.status === 'failed' ? <AlertCircle className="w-3.5 h-3.5 text-red-500 shrink-0" /> :
+                       <span className="w-3.5 h-3.5 rounded-full border-2 border-gray-300 shrink-0" />}
+                      <span className="flex-1 truncate text-gray-800">{item.blog.fieldData.name}</span>
+                      {item.status === 'queued' && <span className="text-gray-400">queued</span>}
+                      {item.status === 'running' && <span className="text-gray-500">{item.stage ? `${SMART_CHECK_STAGES.find(s => s.key === item.stage)?.label || item.stage} · ` : ''}{Math.round((Date.now() - item.startedAt) / 1000)}s</span>}
+                      {item.status === 'done' && <span className="text-gray-500">{item.result.changelog.length} changes · {Math.round((item.finishedAt - item.startedAt) / 1000)}s</span>}
+                      {item.draft === 'skipped' && <span className="text-amber-700" title="The blog was open in review when the check finished, so its draft was left alone">not saved as draft</span>}
+                      {item.draft === 'failed' && <span className="text-amber-700" title={item.error}>draft not saved</span>}
+                      {item.status === 'failed' && <span className="text-red-600 truncate max-w-[40%]" title={item.error}>{item.error}</span>}
+                      {item.status === 'done' && <button onClick={() => openBatchResult(item)} className="px-2 py-0.5 rounded bg-[#0ea5e9] text-white font-semibold hover:bg-[#0284c7]">Open</button>}
+                      {item.status === 'running' && <button onClick={() => cancelBatchItem(item.id)} className="px-2 py-0.5 rounded border hover:border-red-300 hover:text-red-600">Cancel</button>}
+                      {item.status === 'failed' && <button onClick={() => retryBatchItems([item.id])} className="px-2 py-0.5 rounded border hover:border-sky-400 hover:text-sky-600">Retry</button>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {smartCheckProgress ? (
+              <div className="bg-white rounded-xl border p-6 max-w-lg mx-auto my-8">
+                <div className="flex items-center gap-3 mb-4">
+                  <Loader className="w-5 h-5 text-[#0ea5e9] animate-spin shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-800 truncate">Smart Check: {selectedBlog?.fieldData.name}</p>
+                    <p className="text-xs text-gray-500 truncate">{smartCheckProgress.message || (smartCheckProgress.stage ? '' : 'Waiting for the server...')}</p>
+                  </div>
+                  <button onClick={cancelSmartCheck} className="px-3 py-1.5 rounded-lg border text-sm text-gray-700 hover:border-red-300 hover:text-red-600">Cancel</button>
+                </div>
+                <ol className="space-y-2 text-sm">
+                  {SMART_CHECK_STAGES.map((s, i) => (
+                    <li key={s.key} className={`flex items-center gap-2 ${i <= smartCheckStageIndex ? 'text-gray-800' : 'text-gray-400'}`}>
+                      {i < smartCheckStageIndex ? <CheckCircle className="w-4 h-4 text-green-500" /> :
+                       i === smartCheckStageIndex ? <Loader className="w-4 h-4 text-[#0ea5e9] animate-spin" /> :
+                       <span className="w-4 h-4 rounded-full border-2 border-gray-300" />}
+                      <span className="flex-1">{s.label}</span>
+                      {s.key === 'searching' && smartCheckProgress.searches > 0 && <span className="text-xs text-gray-500">{smartCheckProgress.searches} searches</span>}
+                      {s.key === 'auditing' && smartCheckProgress.claims > 0 && <span className="text-xs text-gray-500">{smartCheckProgress.claims} claims</span>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ) : loading ? (
               <div className="text-center py-12"><Loader className="w-10 h-10 text-[#0ea5e9] animate-spin mx-auto mb-3" /><p className="text-gray-500">Loading...</p></div>
+            ) : dashLayout === 'ranking' ? (
+              <div className="bg-white rounded-xl border overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                    <tr>
+                      <th className="px-3 py-2 w-8" />
+                      <th className="px-3 py-2 text-left w-8">#</th>
+                      <th className="px-3 py-2 text-left">Blog</th>
+                      {[['priority', 'Score'], ['clicks', 'Clicks'], ['position', 'Pos'], ['updated', 'Updated']].map(([key, label]) => (
+                        <th key={key} onClick={() => sortDashBy(key)} className="px-3 py-2 text-left cursor-pointer select-none hover:text-gray-800 whitespace-nowrap">
+                          {label}{dashFilters.sort === key && (dashFilters.sortDir === 'asc' ? ' ↑' : ' ↓')}
+                        </th>
+                      ))}
+                      <th className="px-3 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleBlogs.map((blog, rank) => {
+                      const gsc = getGscKeywordsForBlog(blog);
+                      const priority = refreshPriorityFor(blog, gsc);
+                      const prevGsc = gscPrevious?.data?.[blogSlug(blog)];
+                      const clickDelta = gsc && prevGsc ? formatGscDelta('clicks', gsc.clicks - prevGsc.clicks) : null;
+                      return (
+                        <tr key={blog.id} className="border-t align-top">
+                          <td className="px-3 py-2"><input type="checkbox" checked={selectedIds.has(blog.id)} onChange={() => toggleSelected(blog.id)} className="rounded" /></td>
+                          <td className="px-3 py-2 text-gray-400">{rank + 1}</td>
+                          <td className="px-3 py-2">
+                            <p className="font-medium text-[#0f172a]">{blog.fieldData.name}</p>
+                            {drafts[blog.id] && <span className="text-[11px] font-semibold text-amber-700">✎ draft · {timeAgo(drafts[blog.id])}</span>}
+                            <ul className="mt-1 space-y-0.5">
+                              {priority.reasons.map((r, i) => <li key={i} className="text-xs text-gray-500"><span className="font-semibold text-gray-700">+{r.points}</span> {r.label}</li>)}
+                            </ul>
+                          </td>
+                          <td className="px-3 py-2 font-bold text-[#0f172a]">{priority.score}</td>
+                          <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                            {gsc ? Math.round(gsc.clicks) : '—'}
+                            {clickDelta && <button onClick={() => openGscTrend(blog)} className={`ml-1 text-xs font-semibold hover:underline ${clickDelta.tone}`} title={`vs. ${gscPeriodLabel(gscPrevious)} — open trend`}>{clickDelta.text}</button>}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">{gsc ? gsc.position.toFixed(1) : '—'}</td>
+                          <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{blogUpdatedAt(blog) ? new Date(blogUpdatedAt(blog)).toLocaleDateString() : '—'}</td>
+                          <td className="px-3 py-2">
+                            <div className="flex items-center gap-1.5">
+                              <button onClick={() => openBlog(blog)} disabled={loading} className="bg-[#0ea5e9] text-white px-3 py-1.5 rounded-lg text-xs font-semibold hover:bg-[#0284c7] disabled:opacity-50 whitespace-nowrap">Smart Check</button>
+                              <button onClick={() => openVersionHistory(blog)} disabled={loading} title="Version history" className="p-1.5 rounded-lg border text-gray-500 hover:text-gray-800 hover:bg-gray-50 disabled:opacity-50"><Clock className="w-3.5 h-3.5" /></button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {blogs.map(blog => {
+                {visibleBlogs.map(blog => {
                   const gsc = getGscKeywordsForBlog(blog);
+                  const priority = refreshPriorityFor(blog, gsc);
+                  const prevGsc = gscPrevious?.data?.[blogSlug(blog)];
+                  const clickDelta = gsc && prevGsc ? formatGscDelta('clicks', gsc.clicks - prevGsc.clicks) : null;
                   return (
-                    <div key={blog.id} className="bg-white rounded-xl p-5 border hover:shadow-md transition-shadow">
-                      <h3 className="font-semibold text-[#0f172a] mb-2 line-clamp-2 text-sm">{blog.fieldData.name}</h3>
+                    <div key={blog.id} className={`bg-white rounded-xl p-5 border hover:shadow-md transition-shadow ${selectedIds.has(blog.id) ? 'ring-2 ring-[#0ea5e9]' : ''}`}>
+                      <div className="flex items-start gap-2 mb-2">
+                        <input type="checkbox" checked={selectedIds.has(blog.id)} onChange={() => toggleSelected(blog.id)} className="mt-0.5 rounded" title="Select for batch Smart Check" />
+                        <h3 className="font-semibold text-[#0f172a] line-clamp-2 text-sm flex-1">{blog.fieldData.name}</h3>
+                        <select value={blogStage(blog)} onChange={e => setStageOverride(blog.id, e.target.value === detectBlogType(blog.fieldData.name || '', funnelRules) ? '' : e.target.value)}
+                          className={`text-[10px] font-semibold rounded px-1 py-0.5 border ${stageOverrides[blog.id] ? 'border-blue-400 bg-blue-50 text-blue-800' : 'border-gray-200 text-gray-600'}`}
+                          title={stageOverrides[blog.id] ? 'Stage set manually' : 'Stage from funnel rules'}>
+                          {FUNNEL_STAGES.map(st => <option key={st} value={st}>{st}</option>)}
+                        </select>
+                      </div>
+                      {drafts[blog.id] && (
+                        <div className="mb-2 inline-flex items-center gap-1 text-[11px] font-semibold bg-amber-50 border border-amber-200 text-amber-800 rounded px-2 py-0.5">
+                          ✎ Unpublished draft · {timeAgo(drafts[blog.id])}
+                        </div>
+                      )}
                       <p className="text-xs text-gray-500 mb-3 line-clamp-2">{blog.fieldData['post-summary'] || 'No description'}</p>
+                      {blogUpdatedAt(blog) > 0 && <p className="text-[11px] text-gray-400 -mt-2 mb-3">Updated {new Date(blogUpdatedAt(blog)).toLocaleDateString()}</p>}
+                      {priority.score > 0 && (
+                        <p className="text-[11px] text-gray-500 mb-3" title={priority.reasons.map(r => `+${r.points} ${r.label}`).join('\n')}>
+                          Refresh score <span className="font-bold text-[#0f172a]">{priority.score}</span> · {priority.reasons[0].label}
+                        </p>
+                      )}
                       {gsc && (
                         <div className="mb-3 space-y-1">
                           <div className="flex items-center gap-1 text-xs bg-purple-50 border border-purple-200 rounded px-2 py-1">
                             <TrendingUp className="w-3 h-3 text-purple-600" />
                             <span className="text-purple-700 font-medium">{Math.round(gsc.clicks)} clicks &bull; Pos {gsc.position.toFixed(1)}</span>
+                            {clickDelta && <span className={`font-semibold ${clickDelta.tone}`} title={`vs. ${gscPeriodLabel(gscPrevious)}`}>{clickDelta.text}</span>}
+                            {gscHistory.length > 1 && <button onClick={() => openGscTrend(blog)} className="ml-auto text-purple-700 font-semibold hover:underline">Trend</button>}
                           </div>
                           {gsc.hasKeywords && <div className="text-xs text-gray-500 bg-gray-50 rounded px-2 py-1 truncate">
                             {gsc.keywords.slice(0, 3).map(k => k.query).join(', ')}
                           </div>}
                         </div>
                       )}
-                      <button onClick={() => analyzeBlog(blog)} disabled={loading} className="w-full bg-[#0ea5e9] text-white px-3 py-2 rounded-lg text-sm font-semibold hover:bg-[#0284c7] disabled:opacity-50">
-                        {loading && selectedBlog?.id === blog.id ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : 'Smart Check'}
-                      </button>
+                      <div className="flex gap-2">
+                        <button onClick={() => openBlog(blog)} disabled={loading} className="flex-1 bg-[#0ea5e9] text-white px-3 py-2 rounded-lg text-sm font-semibold hover:bg-[#0284c7] disabled:opacity-50">
+                          {loading && selectedBlog?.id === blog.id ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : 'Smart Check'}
+                        </button>
+                        <button onClick={() => openVersionHistory(blog)} disabled={loading} title="Version history" className="px-2.5 rounded-lg border text-gray-500 hover:text-gray-800 hover:bg-gray-50 disabled:opacity-50"><Clock className="w-4 h-4" /></button>
+                      </div>
                     </div>
                   );
                 })}
@@ -1786,22 +4794,58 @@ export default function ContentOps() {
             )}
             {result.changelog?.length > 0 && (
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-3">
-                <p className="text-sm font-semibold text-blue-900 mb-2">📋 What changed ({result.changelog.length})</p>
-                <div className="space-y-2 max-h-64 overflow-y-auto">
-                  {result.changelog.map((c, i) => (
-                    <div key={i} className="text-xs bg-white rounded border border-blue-100 p-2">
-                      <span className={`inline-block px-1.5 py-0.5 rounded text-[10px] font-bold mr-1.5 ${
-                        c.type === 'fix' ? 'bg-amber-100 text-amber-800' :
-                        c.type === 'add' ? 'bg-emerald-100 text-emerald-800' :
-                        'bg-blue-100 text-blue-800'
-                      }`}>{c.type.toUpperCase()}</span>
-                      <span className="font-medium text-gray-700">{c.where}</span>
-                      <p className="text-gray-600 mt-1">{c.reason}</p>
-                      {c.from && <p className="text-red-600 mt-0.5 line-through">{c.from}</p>}
-                      {c.to && <p className="text-emerald-700 mt-0.5">{c.to}</p>}
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm font-semibold text-blue-900">📋 What changed ({result.changelog.length})
+                    {changeReview && <span className="font-normal text-blue-700"> — {changeReview.accepted.filter(Boolean).length} accepted</span>}
+                  </p>
+                  {changeReview && (
+                    <div className="flex gap-1.5">
+                      <button onClick={() => setAllChanges(true)} className="text-[11px] px-2 py-0.5 rounded border border-blue-200 bg-white text-blue-700 hover:border-blue-400">Accept all</button>
+                      <button onClick={() => setAllChanges(false)} className="text-[11px] px-2 py-0.5 rounded border border-blue-200 bg-white text-gray-600 hover:border-red-300 hover:text-red-600">Reject all</button>
                     </div>
-                  ))}
+                  )}
                 </div>
+                <div className="space-y-2 max-h-64 overflow-y-auto">
+                  {result.changelog.map((c, i) => {
+                    const accepted = changeReview ? changeReview.accepted[i] : true;
+                    const located = changeReview ? changeReview.plan.located[i] : false;
+                    const notApplied = accepted && changeReview?.missed.includes(i);
+                    return (
+                      <div key={i} className={`text-xs bg-white rounded border border-blue-100 p-2 ${accepted ? '' : 'opacity-60'}`}>
+                        <div className="flex items-start justify-between gap-2">
+                          <div>
+                            <span className={`inline-block px-1.5 py-0.5 rounded text-[10px] font-bold mr-1.5 ${
+                              c.type === 'fix' ? 'bg-amber-100 text-amber-800' :
+                              c.type === 'add' ? 'bg-emerald-100 text-emerald-800' :
+                              'bg-blue-100 text-blue-800'
+                            }`}>{c.type.toUpperCase()}</span>
+                            <span className="font-medium text-gray-700">{c.where}</span>
+                          </div>
+                          {changeReview && (located ? (
+                            <div className="shrink-0 flex items-center gap-1.5">
+                              {notApplied && <span className="text-[10px] font-semibold text-amber-700" title="The text to replace spans markup or was edited — apply this change manually">not applied</span>}
+                              <button onClick={() => toggleChange(i)}
+                                className={`px-2 py-0.5 rounded text-[10px] font-semibold border ${accepted ? 'bg-emerald-50 border-emerald-300 text-emerald-700' : 'bg-red-50 border-red-300 text-red-700'}`}>
+                                {accepted ? '✓ Accepted' : '✕ Rejected'}
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="shrink-0 text-[10px] text-gray-400" title="Could not match this entry to a changed block — edit manually">not located</span>
+                          ))}
+                        </div>
+                        <p className="text-gray-600 mt-1">{c.reason}</p>
+                        {c.from && <p className="text-red-600 mt-0.5 line-through">{c.from}</p>}
+                        {c.to && <p className="text-emerald-700 mt-0.5">{c.to}</p>}
+                      </div>
+                    );
+                  })}
+                </div>
+                {changeReview?.plan.unlistedCount > 0 && (
+                  <label className="flex items-center gap-2 mt-2 text-xs text-gray-600 cursor-pointer select-none">
+                    <input type="checkbox" checked={changeReview.keepUnlisted} onChange={e => applyChangeDecisions(changeReview.accepted, e.target.checked)} className="rounded" />
+                    Keep {changeReview.plan.unlistedCount} other edit{changeReview.plan.unlistedCount === 1 ? '' : 's'} not listed in the changelog
+                  </label>
+                )}
                 {result.verified?.length > 0 && (
                   <p className="text-xs text-gray-500 mt-2">✓ Verified, no change needed: {result.verified.join(' · ')}</p>
                 )}
@@ -1812,36 +4856,105 @@ export default function ContentOps() {
                 <p className="text-sm text-emerald-800">✓ Audit found nothing outdated — blog is current.</p>
               </div>
             )}
-            {result.gscKeywordsUsed?.length > 0 && (
+            {keywordCoverage && (
               <div className="bg-purple-50 border border-purple-200 rounded-lg p-3">
-                <p className="text-sm font-semibold text-purple-800 mb-2">Optimized with {result.gscKeywordsUsed.length} GSC keywords</p>
-                <div className="flex flex-wrap gap-1.5">
-                  {result.gscKeywordsUsed.slice(0, 10).map((kw, i) => (
-                    <span key={i} className="text-xs bg-white px-2 py-0.5 rounded border border-purple-200 text-purple-700">{kw.query}</span>
-                  ))}
+                <p className="text-sm font-semibold text-purple-800 mb-2">
+                  {result.gscKeywordsUsed?.length ? `Optimized with ${result.gscKeywordsUsed.length} GSC keywords` : `${keywordCoverage.keywords.length} GSC keywords (not sent to Smart Check)`}
+                  <span className="font-normal text-purple-700"> — coverage in the current content</span>
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs bg-white rounded border border-purple-100">
+                    <thead className="text-gray-500 text-left">
+                      <tr>
+                        <th className="px-2 py-1.5 font-medium">Keyword</th>
+                        <th className="px-2 py-1.5 font-medium text-right">Clicks</th>
+                        <th className="px-2 py-1.5 font-medium text-right">Pos.</th>
+                        <th className="px-2 py-1.5 font-medium text-center">Title</th>
+                        <th className="px-2 py-1.5 font-medium text-center">Meta</th>
+                        <th className="px-2 py-1.5 font-medium text-center">H2/H3</th>
+                        <th className="px-2 py-1.5 font-medium text-center">First {INTRO_WORDS}</th>
+                        <th className="px-2 py-1.5 font-medium text-right">Body</th>
+                        <th className="px-2 py-1.5 font-medium">Occurrences</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {keywordCoverage.keywords.map((kw, i) => {
+                        const before = keywordCoverage.before[i], after = keywordCoverage.after[i];
+                        const mark = (was, is, field) => (
+                          <td className="px-2 py-1.5 text-center" title={was === is ? '' : was ? 'was present before' : 'new'}>
+                            {is ? <button onClick={field ? () => focusField(field) : undefined} className={`${was ? 'text-green-600' : 'text-green-700 font-bold'} ${field ? 'hover:underline' : 'cursor-default'}`}>✓</button>
+                              : <span className={was ? 'text-red-500 font-bold' : 'text-gray-300'}>{was ? '✗' : '–'}</span>}
+                          </td>
+                        );
+                        const change = (was, is) => is !== was && <span className={is > was ? 'text-green-600' : 'text-red-500'}> ({is > was ? '+' : ''}{is - was})</span>;
+                        return (
+                          <tr key={kw.query} className="border-t border-purple-50">
+                            <td className="px-2 py-1.5 text-gray-800">{kw.query}</td>
+                            <td className="px-2 py-1.5 text-right text-gray-600">{kw.clicks}</td>
+                            <td className="px-2 py-1.5 text-right text-gray-600">{Number(kw.position).toFixed(1)}</td>
+                            {mark(before.title, after.title, 'title')}
+                            {mark(before.meta, after.meta, 'description')}
+                            <td className="px-2 py-1.5 text-center text-gray-700 whitespace-nowrap">
+                              {after.headings || before.headings ? <>{after.headings}{change(before.headings, after.headings)}</> : <span className="text-gray-300">–</span>}
+                            </td>
+                            {mark(before.intro, after.intro, null)}
+                            <td className="px-2 py-1.5 text-right text-gray-700 whitespace-nowrap">
+                              {after.body}{change(before.body, after.body)}
+                            </td>
+                            <td className="px-2 py-1.5">
+                              <div className="flex flex-wrap gap-1">
+                                {after.blocks.slice(0, 12).map(b => (
+                                  <button key={b} onClick={() => revealBlock(b)} className="px-1.5 rounded border border-purple-200 text-purple-700 hover:bg-purple-100">{b + 1}</button>
+                                ))}
+                                {after.blocks.length > 12 && <span className="text-gray-400">+{after.blocks.length - 12}</span>}
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
                 </div>
+                <p className="text-[11px] text-purple-700 mt-1.5">Green ✓ bold = newly covered, red ✗ = lost since the original. Numbers under Occurrences jump to the block.</p>
               </div>
             )}
 
             <div className="bg-white rounded-lg border p-3 flex items-center gap-4 flex-wrap text-sm">
-              <span className="text-gray-600">{result.searchesUsed} searches</span>
-              <span className="text-gray-600">{result.duration}s</span>
-              <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded text-xs font-medium">{result.blogType}</span>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${ITEM_STATUS_STYLES[itemPublishStatus(selectedBlog).key]}`}
+                title={selectedBlog.lastPublished ? `Last published ${new Date(selectedBlog.lastPublished).toLocaleString()}` : 'Not published yet'}>
+                {itemPublishStatus(selectedBlog).label}
+              </span>
+              {result.restoredFrom ? (
+                <span className="text-gray-600">Restored from the version of {new Date(result.restoredFrom).toLocaleString()}</span>
+              ) : <>
+                <span className="text-gray-600">{result.searchesUsed} searches</span>
+                <span className="text-gray-600">{result.duration}s</span>
+              </>}
+              <select value={blogStage(selectedBlog)} onChange={e => setStageOverride(selectedBlog.id, e.target.value === detectBlogType(selectedBlog.fieldData.name || '', funnelRules) ? '' : e.target.value)}
+                className="bg-blue-100 text-blue-800 px-1.5 py-0.5 rounded text-xs font-medium border-0" title={`Analysed as ${result.blogType}. Changing the stage applies to the next Smart Check.`}>
+                {FUNNEL_STAGES.map(st => <option key={st} value={st}>{st}{stageOverrides[selectedBlog.id] === st ? ' (override)' : ''}</option>)}
+              </select>
+              {blogStage(selectedBlog) !== result.blogType && <span className="text-xs text-amber-700">stage changed — re-run Smart Check to apply</span>}
               {result.widgetsProtected > 0 && <span className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded text-xs font-medium">{result.widgetsProtected} widgets protected</span>}
               {highlightedData && <span className="bg-sky-100 text-sky-800 px-2 py-0.5 rounded text-xs font-medium">{highlightedData.changesCount} changes</span>}
               {result.tldrAdded && <span className="bg-emerald-100 text-emerald-800 px-2 py-0.5 rounded text-xs font-medium">TL;DR added</span>}
               {result.fromCache && <span className="bg-gray-100 text-gray-600 px-2 py-0.5 rounded text-xs">cached</span>}
+              {gscHistory.length > 1 && (
+                <button onClick={() => openGscTrend(selectedBlog)} className="ml-auto flex items-center gap-1 text-xs font-semibold text-purple-700 hover:underline">
+                  <TrendingUp className="w-3.5 h-3.5" />GSC trend
+                </button>
+              )}
             </div>
 
             {/* Title + meta fields — name=meta-title, excerpt=meta-description */}
             <div className="bg-white rounded-lg border p-4 space-y-3">
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Blog Title <span className="text-gray-400 normal-case font-normal">(updates: name + meta-title)</span></label>
-                <input value={blogTitle} onChange={e => { setBlogTitle(e.target.value); setMetaTitle(e.target.value); }} className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                <input id="co-field-title" value={blogTitle} onChange={e => { setBlogTitle(e.target.value); setMetaTitle(e.target.value); }} className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
               </div>
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Excerpt / Meta Description <span className="text-gray-400 normal-case font-normal">(updates: excerpt + meta-description)</span></label>
-                <textarea value={metaSeoDescription} onChange={e => { setMetaSeoDescription(e.target.value); setMetaDescription(e.target.value); }} rows={2} className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9] resize-none" />
+                <textarea id="co-field-description" value={metaSeoDescription} onChange={e => { setMetaSeoDescription(e.target.value); setMetaDescription(e.target.value); }} rows={2} className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9] resize-none" />
               </div>
             </div>
 
@@ -1849,7 +4962,11 @@ export default function ContentOps() {
               {[['edit', 'Edit', Eye], ['preview', 'Preview Changes', Search], ['html', 'HTML Source', Code]].map(([mode, label, Icon]) => (
                 <button key={mode} onClick={() => {
                     if (mode === 'html') { switchToHtmlMode(); }
-                    else { if (editMode === 'edit') flushEditorContent(); setEditMode(mode); }
+                    else {
+                      const html = editMode === 'edit' ? flushEditorContent() : editedContent;
+                      if (mode === 'preview') setHighlightedData(createDiffView(result.originalContent, html));
+                      setEditMode(mode);
+                    }
                   }}
                   className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-1.5 transition-colors ${editMode === mode ? 'bg-[#0ea5e9] text-white' : 'bg-white border text-gray-600 hover:bg-gray-50'}`}>
                   <Icon className="w-4 h-4" />{label}
@@ -1861,6 +4978,14 @@ export default function ContentOps() {
                   Show highlights
                 </label>
               )}
+              {editMode === 'preview' && showHighlights && (
+                <div className="flex items-center ml-2 rounded-lg border bg-white overflow-hidden text-xs font-medium">
+                  {[['inline', 'Inline'], ['split', 'Side by side']].map(([layout, label]) => (
+                    <button key={layout} onClick={() => setDiffLayout(layout)}
+                      className={`px-2.5 py-1.5 ${diffLayout === layout ? 'bg-sky-100 text-sky-800' : 'text-gray-600 hover:bg-gray-50'}`}>{label}</button>
+                  ))}
+                </div>
+              )}
             </div>
 
             {editMode === 'edit' && (
@@ -1889,6 +5014,7 @@ export default function ContentOps() {
 
                   <button onClick={() => insertListCmd('bullet')} className="p-2 rounded hover:bg-gray-200 text-gray-700" title="Bullet list"><List className="w-4 h-4" /></button>
                   <button onClick={() => insertListCmd('number')} className="p-2 rounded hover:bg-gray-200 text-gray-700" title="Numbered list"><ListOrdered className="w-4 h-4" /></button>
+                  <button onClick={generateToc} className="px-2 py-1.5 rounded hover:bg-gray-200 text-gray-700 text-sm font-medium" title="Insert or regenerate the table of contents from H2/H3 headings (after the current block, or before the first heading)">TOC</button>
                   <div className="w-px h-6 bg-gray-300 mx-1" />
 
                   <button onClick={openLinkModal} className="p-2 rounded hover:bg-gray-200 text-gray-700" title="Link"><Link2 className="w-4 h-4" /></button>
@@ -1899,7 +5025,8 @@ export default function ContentOps() {
                   </label>
                   <div className="w-px h-6 bg-gray-300 mx-1" />
 
-                  <button onClick={() => execCmd('undo')} className="p-2 rounded hover:bg-gray-200 text-gray-700" title="Undo"><Undo2 className="w-4 h-4" /></button>
+                  <button onClick={undoEdit} disabled={!historyFlags.canUndo} className="p-2 rounded hover:bg-gray-200 text-gray-700 disabled:opacity-40" title="Undo (Ctrl+Z)"><Undo2 className="w-4 h-4" /></button>
+                  <button onClick={redoEdit} disabled={!historyFlags.canRedo} className="p-2 rounded hover:bg-gray-200 text-gray-700 disabled:opacity-40" title="Redo (Ctrl+Shift+Z)"><Redo2 className="w-4 h-4" /></button>
                 </div>
 
                 <div
@@ -1909,6 +5036,7 @@ export default function ContentOps() {
                   onClick={handleEditorClick}
                   onKeyDown={handleEditorKeyDown}
                   onFocus={handleEditorFocusIn}
+                  onBlur={handleEditorFocusOut}
                   onPaste={handleEditorPaste}
                   style={{ minHeight: 600 }}
                 />
@@ -1921,8 +5049,15 @@ export default function ContentOps() {
 
             {editMode === 'preview' && (
               <div className="bg-white rounded-lg border shadow-sm">
-                <div className="co-editor" style={{ minHeight: 400 }}
-                  dangerouslySetInnerHTML={{ __html: showHighlights && highlightedData ? highlightedData.html : editedContent }} />
+                {showHighlights && highlightedData && diffLayout === 'split' ? (
+                  <div className="co-editor" style={{ minHeight: 400 }}>
+                    <div className="co-diff-row text-xs font-semibold text-gray-400 uppercase tracking-wide border-b pb-2 mb-2"><div>Original</div><div>Updated</div></div>
+                    <div dangerouslySetInnerHTML={{ __html: highlightedData.splitHtml }} />
+                  </div>
+                ) : (
+                  <div className="co-editor" style={{ minHeight: 400 }}
+                    dangerouslySetInnerHTML={{ __html: showHighlights && highlightedData ? highlightedData.html : editedContent }} />
+                )}
               </div>
             )}
 
@@ -1941,15 +5076,50 @@ export default function ContentOps() {
               </div>
             )}
 
+            <div className={`rounded-lg border p-3 ${lintFindings.some(f => f.severity === 'error') ? 'bg-red-50 border-red-200' : lintFindings.length ? 'bg-amber-50 border-amber-200' : 'bg-emerald-50 border-emerald-200'}`}>
+              <p className="text-sm font-semibold text-gray-800 mb-1">
+                Pre-publish checks
+                <span className="font-normal text-gray-600"> — {lintFindings.length ? `${lintFindings.filter(f => f.severity === 'error').length} errors, ${lintFindings.filter(f => f.severity === 'warning').length} warnings` : 'all clear'}</span>
+              </p>
+              {lintFindings.length > 0 && (
+                <div className="space-y-1 max-h-48 overflow-y-auto">
+                  {lintFindings.map((f, i) => (
+                    <button key={i} onClick={() => jumpToFinding(f)} className="w-full text-left flex items-start gap-2 text-xs bg-white rounded border px-2 py-1.5 hover:border-sky-400">
+                      {f.severity === 'error' ? <AlertCircle className="w-3.5 h-3.5 text-red-500 shrink-0 mt-px" /> : <AlertCircle className="w-3.5 h-3.5 text-amber-500 shrink-0 mt-px" />}
+                      <span className="flex-1 text-gray-700">{f.message}</span>
+                      <span className="text-sky-600 shrink-0">{f.field ? 'field' : `block ${f.block + 1}`} →</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {lintFindings.some(f => f.severity === 'error') && <p className="text-[11px] text-red-700 mt-1.5">Errors block publishing live; staging a draft is still possible.</p>}
+            </div>
+
             <div className="flex items-center gap-3 flex-wrap bg-white rounded-lg border p-4">
-              <button onClick={publishToWebflow} disabled={loading} className="bg-green-600 text-white px-5 py-2.5 rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50 flex items-center gap-2">
+              <div className="flex rounded-lg border overflow-hidden text-sm">
+                {[['live', 'Publish live'], ['draft', 'Stage as draft']].map(([mode, label]) => (
+                  <button key={mode} onClick={() => changePublishMode(mode)} disabled={mode === 'draft' && supports('draftMode') !== true}
+                    title={mode !== 'draft' || supports('draftMode') === true ? '' : supports('draftMode') === false ? 'Not supported by this backend' : 'The backend has not confirmed draft staging (no draftMode in /api/health)'}
+                    className={`px-3 py-2.5 disabled:opacity-40 ${publishMode === mode ? 'bg-gray-800 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>{label}</button>
+                ))}
+              </div>
+              {publishMode === 'draft' && supports('draftMode') !== true && (
+                <span className="text-xs text-amber-700 max-w-[14rem]">{backendHealth?.checking ? 'Checking the backend…' : 'This backend hasn\'t confirmed draft staging, so drafts won\'t be sent — switch to Publish live.'}</span>
+              )}
+              <button onClick={() => publishToWebflow()} disabled={loading} className={`${publishMode === 'live' ? 'bg-green-600 hover:bg-green-700' : 'bg-amber-500 hover:bg-amber-600'} text-white px-5 py-2.5 rounded-lg font-semibold disabled:opacity-50 flex items-center gap-2`}>
                 {loading ? <Loader className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
-                Publish to Webflow
+                {publishMode === 'live' ? 'Publish to Webflow' : 'Save CMS draft'}
+              </button>
+              <button onClick={() => openVersionHistory()} disabled={loading} className="bg-white text-gray-700 px-5 py-2.5 rounded-lg font-semibold border hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2">
+                <Clock className="w-4 h-4" />History
+              </button>
+              <button onClick={openDryRun} disabled={loading} className="bg-white text-gray-700 px-5 py-2.5 rounded-lg font-semibold border hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2">
+                <Eye className="w-4 h-4" />Dry run
               </button>
               <button onClick={copyHTMLToClipboard} className={`px-5 py-2.5 rounded-lg font-semibold flex items-center gap-2 border ${copied ? 'bg-green-50 border-green-300 text-green-700' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>
                 <Copy className="w-4 h-4" />{copied ? 'Copied!' : 'Copy HTML'}
               </button>
-              <button onClick={() => { setView('dashboard'); setResult(null); setSelectedBlog(null); setHighlightedData(null); }}
+              <button onClick={() => { setView('dashboard'); setResult(null); setSelectedBlog(null); setHighlightedData(null); setChangeReview(null); }}
                 className="bg-white text-gray-500 px-4 py-2.5 rounded-lg border hover:bg-gray-50 text-sm">Back</button>
             </div>
           </div>
@@ -1958,9 +5128,9 @@ export default function ContentOps() {
         {view === 'success' && (
           <div className="max-w-md mx-auto text-center py-16">
             <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4"><CheckCircle className="w-10 h-10 text-green-600" /></div>
-            <h2 className="text-2xl font-bold mb-2">Published!</h2>
-            <p className="text-gray-500 mb-6">Content updated on Webflow</p>
-            <button onClick={() => { setView('dashboard'); setResult(null); setSelectedBlog(null); setHighlightedData(null); }}
+            <h2 className="text-2xl font-bold mb-2">{publishedAs === 'live' ? 'Published!' : 'Staged as draft'}</h2>
+            <p className="text-gray-500 mb-6">{publishedAs === 'live' ? 'Content updated on Webflow' : 'Saved to the Webflow CMS — not live until it is published'}</p>
+            <button onClick={() => { setView('dashboard'); setResult(null); setSelectedBlog(null); setHighlightedData(null); setChangeReview(null); }}
               className="bg-[#0ea5e9] text-white px-6 py-3 rounded-lg font-semibold hover:bg-[#0284c7]">Back to Dashboard</button>
           </div>
         )}
@@ -2066,19 +5236,60 @@ export default function ContentOps() {
           onClick={() => { if (imageAltModal.isUpload) { const m = editorRef.current?.querySelector('#image-insertion-marker'); if (m) m.remove(); if (imageAltModal.src) URL.revokeObjectURL(imageAltModal.src); } setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' }); }}>
           <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4 space-y-3" onClick={e => e.stopPropagation()}>
             <h3 className="text-lg font-bold">{imageAltModal.isUpload ? 'Add Alt Text' : 'Edit Image'}</h3>
-            <img src={imageAltModal.src} alt="" className="w-full max-h-48 object-contain rounded-lg bg-gray-100" />
+            {imageAltModal.src ? <img src={imageAltModal.src} alt="" className="w-full max-h-48 object-contain rounded-lg bg-gray-100" />
+              : <div className="w-full h-48 rounded-lg bg-gray-100 flex items-center justify-center"><Loader className="w-6 h-6 text-gray-400 animate-spin" /></div>}
+            {imageAltModal.isUpload && (
+              <div className="bg-gray-50 border rounded-lg p-3 space-y-2 text-xs">
+                {imageAltModal.file && !imageAltModal.optimizing ? (
+                  <p className="text-gray-700">
+                    Original {formatBytes(imageAltModal.original.size)} · {imageAltModal.sourceWidth}×{imageAltModal.sourceHeight}
+                    {' → '}<span className="font-semibold">{formatBytes(imageAltModal.file.size)} · {imageAltModal.width}×{imageAltModal.height} {imageAltModal.file.type.split('/')[1].toUpperCase()}</span>
+                    {imageAltModal.file !== imageAltModal.original && <span className={imageAltModal.file.size < imageAltModal.original.size ? 'text-green-700' : 'text-amber-700'}> ({Math.round((imageAltModal.file.size / imageAltModal.original.size - 1) * 100)}%)</span>}
+                  </p>
+                ) : <p className="text-gray-500">Optimizing...</p>}
+                {imageAltModal.note && <p className="text-amber-700">{imageAltModal.note}</p>}
+                <div className="flex items-center gap-3 flex-wrap">
+                  <label className="flex items-center gap-1 text-gray-600">Max width
+                    <input type="number" min={200} step={100} key={imageSettings.maxWidth} defaultValue={imageSettings.maxWidth}
+                      onBlur={e => {
+                        const n = parseInt(e.target.value, 10);
+                        if (!(n > 0)) e.target.value = imageSettings.maxWidth;
+                        else if (Math.max(200, n) !== imageSettings.maxWidth) updateImageSettings({ maxWidth: Math.max(200, n) });
+                        else e.target.value = imageSettings.maxWidth;
+                      }}
+                      onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }}
+                      className="w-20 border rounded px-1.5 py-0.5" />
+                  </label>
+                  <select value={imageSettings.format} onChange={e => updateImageSettings({ format: e.target.value })} className="border rounded px-1.5 py-0.5">
+                    {IMAGE_FORMATS.map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                  </select>
+                  <label className="flex items-center gap-1 text-gray-600">Quality
+                    <input type="range" min={0.4} max={1} step={0.02} value={qualityDraft ?? imageSettings.quality}
+                      onChange={e => setQualityDraft(parseFloat(e.target.value))}
+                      onPointerUp={commitQuality} onKeyUp={commitQuality} onBlur={commitQuality} />
+                    <span className="w-8 text-right">{Math.round((qualityDraft ?? imageSettings.quality) * 100)}</span>
+                  </label>
+                </div>
+              </div>
+            )}
             <div>
               <label className="block text-xs font-semibold mb-1">Alt Text {imageAltModal.isUpload && <span className="text-red-500">*</span>}</label>
               <input value={imageAltModal.currentAlt} onChange={e => setImageAltModal({...imageAltModal, currentAlt: e.target.value, error: ''})}
                 placeholder="Describe what's in the image..." className="w-full border rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" autoFocus />
             </div>
+            {imageAltModal.isUpload && !(config.siteId || detectedSiteId) && (
+              <div className="p-2.5 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">No Site ID configured — the image will be embedded inline as base64 instead of uploaded to Webflow Assets.</div>
+            )}
+            {imageAltModal.isUpload && (config.siteId || detectedSiteId) && supports('assets') === false && (
+              <div className="p-2.5 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">This backend doesn't support asset uploads — the image will be embedded inline as base64.</div>
+            )}
             {imageAltModal.error && (
               <div className="p-2.5 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{imageAltModal.error}</div>
             )}
             <div className="flex gap-2">
-              <button onClick={updateImageAlt} disabled={imageAltModal.isUpload && !imageAltModal.currentAlt.trim()}
+              <button onClick={updateImageAlt} disabled={(imageAltModal.isUpload && (!imageAltModal.currentAlt.trim() || !imageAltModal.file || imageAltModal.optimizing || imageAltModal.file.size > MAX_IMAGE_BYTES)) || imageAltModal.uploading}
                 className="flex-1 bg-[#0ea5e9] text-white py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
-                {imageAltModal.isUpload ? 'Upload & Insert' : 'Save'}
+                {imageAltModal.uploading ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : imageAltModal.isUpload ? ((config.siteId || detectedSiteId) && supports('assets') !== false ? 'Upload & Insert' : 'Insert inline') : 'Save'}
               </button>
               {!imageAltModal.isUpload && <button onClick={deleteImage} className="flex-1 bg-red-500 text-white py-2 rounded-lg text-sm">Delete</button>}
               <button onClick={() => { if (imageAltModal.isUpload) { const m = editorRef.current?.querySelector('#image-insertion-marker'); if (m) m.remove(); if (imageAltModal.src) URL.revokeObjectURL(imageAltModal.src); } setImageAltModal({ show: false, src: '', currentAlt: '', index: -1, isUpload: false, file: null, error: '' }); }}
@@ -2088,18 +5299,346 @@ export default function ContentOps() {
         </div>
       )}
 
+      {draftPrompt && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999]" onClick={() => setDraftPrompt(null)}>
+          <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4 space-y-3" onClick={e => e.stopPropagation()}>
+            <h3 className="text-lg font-bold">Unpublished draft found</h3>
+            <p className="text-sm text-gray-600">
+              <span className="font-medium text-gray-800">{draftPrompt.blog.fieldData.name}</span> has a review in progress, last saved {timeAgo(draftPrompt.savedAt)}.
+            </p>
+            <button onClick={() => restoreDraft(draftPrompt.blog)} className="w-full bg-[#0ea5e9] text-white py-2 rounded-lg font-semibold text-sm hover:bg-[#0284c7]">Restore draft</button>
+            <button onClick={() => { const b = draftPrompt.blog; setDraftPrompt(null); analyzeBlog(b); }} className="w-full bg-white border py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-50">Run a fresh Smart Check</button>
+            <div className="flex gap-2">
+              <button onClick={() => { if (!confirm('Discard this draft? Its edits cannot be recovered.')) return; discardDraft(draftPrompt.blog.id); setDraftPrompt(null); }} className="flex-1 bg-red-50 text-red-700 border border-red-200 py-2 rounded-lg text-sm">Discard draft</button>
+              <button onClick={() => setDraftPrompt(null)} className="flex-1 bg-gray-100 py-2 rounded-lg text-sm">Cancel</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {dryRun && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999] p-4" onClick={() => setDryRun(null)}>
+          <div className="bg-white rounded-xl w-full max-w-5xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="px-6 py-4 border-b flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-bold">Publish dry run</h3>
+                <p className="text-xs text-gray-500">
+                  Nothing has been sent. {dryRun.source === 'live' ? 'Compared with the live Webflow item.' : dryRun.source === 'loaded' ? 'Live item unavailable — compared with the item as loaded on the dashboard.' : 'Fetching the live item...'}
+                </p>
+              </div>
+              <button onClick={() => setDryRun(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+              {(dryRun.anchors.length > 0 || dryRun.lists.length > 0) && (
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm space-y-3">
+                  <p className="font-semibold text-amber-800">Changed by the publish pipeline</p>
+                  {dryRun.anchors.length > 0 && (
+                    <div>
+                      <p className="text-xs font-semibold text-amber-700 mb-1">{dryRun.anchors.length} anchor link{dryRun.anchors.length === 1 ? '' : 's'} rewritten</p>
+                      <ul className="space-y-0.5 text-xs text-gray-700">
+                        {dryRun.anchors.map((a, i) => (
+                          <li key={i} className="break-all"><span className="font-medium">{a.text || '(no text)'}</span>: <code className="text-red-700">{a.from}</code> → <code className="text-green-700">{a.to}</code></li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {dryRun.lists.length > 0 && (
+                    <div>
+                      <p className="text-xs font-semibold text-amber-700 mb-1">{dryRun.lists.length} list{dryRun.lists.length === 1 ? '' : 's'} changed</p>
+                      <div className="space-y-2">
+                        {dryRun.lists.map((l, i) => (
+                          <details key={i} className="bg-white border rounded p-2 text-xs">
+                            <summary className="cursor-pointer text-gray-700">{l.kind}: <span className="text-gray-500">{changeText(l.before).slice(0, 80)}</span></summary>
+                            <div className="co-editor mt-2" dangerouslySetInnerHTML={{ __html: createDiffView(l.before, l.after).html }} />
+                          </details>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+              {!dryRun.rows ? (
+                <div className="text-center py-8"><Loader className="w-6 h-6 text-[#0ea5e9] animate-spin mx-auto" /></div>
+              ) : dryRun.rows.map(row => (
+                <div key={row.key} className="border rounded-lg">
+                  <div className="px-4 py-2 border-b bg-gray-50 flex items-center gap-2 text-sm">
+                    <code className="font-semibold text-gray-800">{row.key}</code>
+                    {!row.sent ? <span className="text-xs text-gray-400">not sent — current value kept</span> :
+                     row.changed ? <span className="text-xs px-1.5 py-0.5 rounded bg-sky-100 text-sky-700">changed</span> :
+                     <span className="text-xs text-gray-400">unchanged</span>}
+                  </div>
+                  {row.sent && (
+                    row.key === 'post-body' ? (
+                      <div className="co-editor p-4 max-h-96 overflow-y-auto text-sm" dangerouslySetInnerHTML={{ __html: row.changed ? row.html : row.after }} />
+                    ) : (
+                      <div className="co-editor px-4 py-3 text-sm whitespace-pre-wrap" dangerouslySetInnerHTML={{ __html: row.changed ? row.html : escapeHTML(row.after) }} />
+                    )
+                  )}
+                  {row.key === 'post-body' && row.sent && (
+                    <details className="px-4 pb-3 text-xs">
+                      <summary className="cursor-pointer text-gray-500">Raw HTML ({row.after.length.toLocaleString()} chars)</summary>
+                      <pre className="mt-2 bg-gray-50 border rounded p-2 max-h-64 overflow-auto whitespace-pre-wrap break-all">{row.after}</pre>
+                    </details>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="px-6 py-3 border-t flex justify-end gap-2">
+              <button onClick={() => setDryRun(null)} className="px-4 py-2 rounded-lg text-sm border hover:bg-gray-50">Close</button>
+              <button onClick={() => { setDryRun(null); publishToWebflow(); }} disabled={loading} className={`${publishMode === 'live' ? 'bg-green-600 hover:bg-green-700' : 'bg-amber-500 hover:bg-amber-600'} text-white px-4 py-2 rounded-lg text-sm font-semibold disabled:opacity-50`}>{publishMode === 'live' ? 'Publish now' : 'Save CMS draft now'}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {versionHistory && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999] p-4" onClick={() => setVersionHistory(null)}>
+          <div className="bg-white rounded-xl w-full max-w-5xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="px-6 py-4 border-b flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-bold">Version history</h3>
+                <p className="text-xs text-gray-500">Stored in this browser for {versionHistory.blog.fieldData.name}. Each save keeps the values it replaced and the payload it sent.</p>
+              </div>
+              <button onClick={() => setVersionHistory(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+              {!versionHistory.versions.some(v => v.kind !== 'editor') ? (
+                <p className="text-sm text-gray-500 text-center py-8">No saved versions yet — they are recorded from the first publish on.</p>
+              ) : <>
+                <div className="border rounded-lg divide-y max-h-56 overflow-y-auto">
+                  {versionHistory.versions.filter(v => v.kind !== 'editor').map(v => (
+                    <div key={v.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                      <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded ${v.kind === 'before' ? 'bg-gray-100 text-gray-600' : v.mode === 'draft' ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800'}`}>
+                        {v.kind === 'before' ? 'BEFORE' : v.mode === 'draft' ? 'DRAFT' : 'LIVE'}
+                      </span>
+                      <span className="flex-1 text-gray-700">{new Date(v.savedAt).toLocaleString()} <span className="text-xs text-gray-400">· {timeAgo(v.savedAt)}</span></span>
+                      <span className="text-xs text-gray-400">{(v.fieldData['post-body'] || '').length.toLocaleString()} chars</span>
+                      <button onClick={() => restoreVersion(v)} disabled={loading} className="text-xs px-2 py-1 rounded border hover:border-sky-400 hover:text-sky-600 disabled:opacity-50">Restore to editor</button>
+                      <button onClick={() => republishVersion(v)} disabled={loading} className="text-xs px-2 py-1 rounded border hover:border-green-400 hover:text-green-700 disabled:opacity-50">{publishMode === 'live' ? 'Re-publish' : 'Stage'}</button>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2 text-sm flex-wrap">
+                  <span className="text-gray-500">Compare</span>
+                  <select value={versionHistory.a ?? ''} onChange={e => setVersionHistory(h => compareVersions(h, e.target.value === 'editor' ? 'editor' : Number(e.target.value), h.b))} className="border rounded px-2 py-1 text-sm">
+                    {versionHistory.versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+                  </select>
+                  <span className="text-gray-500">with</span>
+                  <select value={versionHistory.b ?? ''} onChange={e => setVersionHistory(h => compareVersions(h, h.a, e.target.value === 'editor' ? 'editor' : Number(e.target.value)))} className="border rounded px-2 py-1 text-sm">
+                    {versionHistory.versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+                  </select>
+                </div>
+                {versionHistory.rows && (versionHistory.rows.some(r => r.changed) ? versionHistory.rows.filter(r => r.changed).map(row => (
+                  <div key={row.key} className="border rounded-lg">
+                    <div className="px-4 py-2 border-b bg-gray-50 text-sm"><code className="font-semibold text-gray-800">{row.key}</code></div>
+                    <div className={`co-editor px-4 py-3 text-sm ${row.key === 'post-body' ? 'max-h-96 overflow-y-auto' : 'whitespace-pre-wrap'}`} dangerouslySetInnerHTML={{ __html: row.html }} />
+                  </div>
+                )) : <p className="text-sm text-gray-500 text-center py-4">These two versions are identical.</p>)}
+              </>}
+            </div>
+          </div>
+        </div>
+      )}
+
       {showGscModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999]" onClick={() => setShowGscModal(false)}>
           <div className="bg-white rounded-xl p-6 max-w-md w-full mx-4 space-y-3" onClick={e => e.stopPropagation()}>
             <h3 className="text-lg font-bold">Upload GSC Data</h3>
-            <p className="text-sm text-gray-600">Upload XLSX from Google Search Console (needs Queries + Pages sheets).</p>
-            {gscData && <div className="p-2 bg-green-50 border border-green-200 rounded text-sm text-green-800 font-medium">{gscData.totalMatches} blogs with keywords</div>}
-            <input type="file" accept=".xlsx,.xls" onChange={handleGscUpload} disabled={gscUploading} className="w-full bg-gray-50 border rounded px-3 py-2 text-sm" />
+            <p className="text-sm text-gray-600">Upload the Search Console export: the XLSX (Queries + Pages sheets), the zip, Queries.csv + Pages.csv together, or one CSV with both a query and a page column.</p>
+            {gscData && <div className="p-2 bg-green-50 border border-green-200 rounded text-sm text-green-800 font-medium">{gscData.totalMatches} blogs with keywords · latest period {gscPeriodLabel(gscData)}</div>}
+            {gscHistory.length > 0 && (
+              <div className="border rounded-lg divide-y max-h-40 overflow-y-auto text-xs">
+                {[...gscHistory].reverse().map(h => (
+                  <div key={h.id} className="flex items-center gap-2 px-2.5 py-1.5">
+                    <span className="flex-1 font-medium text-gray-800">{gscPeriodLabel(h)}</span>
+                    <span className="text-gray-500">{h.blogsCount} blogs</span>
+                    <button onClick={() => deleteGscSnapshot(h.id)} className="text-gray-400 hover:text-red-600" title="Delete this period"><Trash2 className="w-3.5 h-3.5" /></button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-gray-600 shrink-0">Period</span>
+              <input type="date" value={gscPeriod.start} onChange={e => setGscPeriod(p => ({ ...p, start: e.target.value }))} className="flex-1 min-w-0 border rounded px-2 py-1" />
+              <span className="text-gray-400">→</span>
+              <input type="date" value={gscPeriod.end} onChange={e => setGscPeriod(p => ({ ...p, end: e.target.value }))} className="flex-1 min-w-0 border rounded px-2 py-1" />
+            </div>
+            <p className="text-xs text-gray-500 -mt-1">The date range the export covers. Uploading the same range again replaces that period.</p>
+            <label className="flex items-center gap-2 text-sm">
+              <span className="text-gray-600 shrink-0">Blog URL prefix</span>
+              <input defaultValue={gscSettings.pathPrefix} key={gscSettings.pathPrefix} onBlur={e => e.target.value.trim() !== gscSettings.pathPrefix && updateGscSettings({ pathPrefix: e.target.value.trim() })}
+                placeholder="/blogs/ — empty for every page" className="flex-1 min-w-0 border rounded px-2 py-1 font-mono text-xs" />
+            </label>
+            <input type="file" accept=".xlsx,.xls,.csv,.zip" multiple onChange={handleGscUpload} disabled={gscUploading} className="w-full bg-gray-50 border rounded px-3 py-2 text-sm" />
+            {gscImportErrors.length > 0 && (
+              <div className="p-2.5 bg-red-50 border border-red-200 rounded-lg text-xs space-y-2 max-h-56 overflow-y-auto">
+                {gscImportErrors.map((e, i) => (
+                  <div key={i}>
+                    <p className="font-semibold text-red-800">{e.name}</p>
+                    <p className="text-gray-700"><span className="text-gray-500">Expected:</span> {e.expected.join(', ')}</p>
+                    <p className="text-gray-700"><span className="text-gray-500">Found:</span> {e.found.length ? e.found.join(', ') : '(no header row)'}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+            {gscData?.raw && (
+              <button onClick={() => { setShowGscModal(false); setGscReview({ pageQuery: '', queryQuery: '' }); }} className="w-full border border-purple-300 text-purple-700 py-2 rounded-lg font-semibold text-sm hover:bg-purple-50">
+                Review keyword matches{gscData.source === 'gsc' ? '' : ' (guessed from slugs)'}
+              </button>
+            )}
             <button onClick={() => setShowGscModal(false)} className="w-full bg-gray-100 py-2 rounded-lg font-semibold text-sm">{gscData ? 'Done' : 'Cancel'}</button>
           </div>
         </div>
       )}
 
+      {gscReviewView && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999] p-4" onClick={() => setGscReview(null)}>
+          <div className="bg-white rounded-xl w-full max-w-5xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="px-6 py-4 border-b flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-bold">Review keyword matches</h3>
+                <p className="text-xs text-gray-500">
+                  {gscData.source === 'gsc' ? 'From the export\'s query × page data.' : 'Guessed from slug terms — no query × page column in the export.'} Changes apply to every uploaded period.
+                </p>
+              </div>
+              <button onClick={() => setGscReview(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <datalist id="co-gsc-slugs">{gscReviewView.slugs.map(slug => <option key={slug} value={slug} />)}</datalist>
+            <div className="flex-1 overflow-hidden grid grid-cols-1 md:grid-cols-3">
+              <div className="md:col-span-2 flex flex-col min-h-0 border-r">
+                <div className="p-3 border-b">
+                  <input value={gscReview.pageQuery} onChange={e => setGscReview(r => ({ ...r, pageQuery: e.target.value }))} placeholder="Filter pages or keywords..."
+                    className="w-full border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                </div>
+                <div className="flex-1 overflow-y-auto divide-y">
+                  {gscReviewView.pages.slice(0, 100).map(page => (
+                    <div key={page.slug} className="px-4 py-3">
+                      <p className="text-sm font-semibold text-[#0f172a] font-mono">/{page.slug}</p>
+                      {!page.keywords.length && <p className="text-xs text-gray-400 mt-1">No keywords</p>}
+                      <ul className="mt-1.5 space-y-1">
+                        {page.keywords.map(k => (
+                          <li key={k.query} className="flex items-center gap-2 text-xs">
+                            <span className={`text-[10px] font-bold px-1 rounded ${k.source === 'manual' ? 'bg-purple-100 text-purple-800' : k.source === 'gsc' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                              {k.source === 'manual' ? 'MANUAL' : k.source === 'gsc' ? 'GSC' : 'MATCHED'}
+                            </span>
+                            <span className="flex-1 text-gray-800">{k.query}</span>
+                            <span className="text-gray-400">{Math.round(k.impressions).toLocaleString()} impr · pos {k.position.toFixed(1)}</span>
+                            <input list="co-gsc-slugs" placeholder="move to…" className="w-32 border rounded px-1.5 py-0.5 font-mono"
+                              onBlur={e => commitGscAssign(e, k.query, page.slug)} onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }} />
+                            {k.source === 'manual' && <button onClick={() => unassignGscKeyword(k.query)} className="text-gray-500 hover:underline">auto</button>}
+                            <button onClick={() => excludeGscKeyword(page.slug, k.query)} className="text-gray-400 hover:text-red-600" title="Exclude from this page"><X className="w-3.5 h-3.5" /></button>
+                          </li>
+                        ))}
+                      </ul>
+                      {page.excluded.length > 0 && (
+                        <p className="mt-1.5 text-[11px] text-gray-500">
+                          Excluded: {page.excluded.map(q => (
+                            <button key={q} onClick={() => restoreGscKeyword(page.slug, q)} className="mr-1.5 line-through hover:no-underline hover:text-sky-600" title="Restore">{q}</button>
+                          ))}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                  {gscReviewView.pages.length > 100 && <p className="text-xs text-gray-500 text-center py-2">Showing 100 of {gscReviewView.pages.length} pages — filter to find the rest.</p>}
+                </div>
+              </div>
+              <div className="flex flex-col min-h-0">
+                <div className="p-3 border-b">
+                  <p className="text-xs font-semibold text-gray-500 uppercase mb-1.5">Unassigned queries ({gscReviewView.unmatched.length})</p>
+                  <input value={gscReview.queryQuery} onChange={e => setGscReview(r => ({ ...r, queryQuery: e.target.value }))} placeholder="Filter queries..."
+                    className="w-full border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-[#0ea5e9]" />
+                </div>
+                <ul className="flex-1 overflow-y-auto divide-y text-xs">
+                  {gscReviewView.unmatched.slice(0, 150).map(q => (
+                    <li key={q.query} className="px-3 py-1.5 space-y-1">
+                      <p className="text-gray-800">{q.query} <span className="text-gray-400">· {Math.round(q.impressions).toLocaleString()} impr</span></p>
+                      <input list="co-gsc-slugs" placeholder="assign to page…" className="w-full border rounded px-1.5 py-0.5 font-mono"
+                        onBlur={e => commitGscAssign(e, q.query, null)} onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {gscTrend && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999] p-4" onClick={() => setGscTrend(null)}>
+          <div className="bg-white rounded-xl w-full max-w-3xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="px-6 py-4 border-b flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-bold">GSC trend</h3>
+                <p className="text-xs text-gray-500">{gscTrend.blog.fieldData.name}</p>
+              </div>
+              <button onClick={() => setGscTrend(null)} className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+              {gscHistory.length < 2 ? (
+                <p className="text-sm text-gray-500 text-center py-8">Upload GSC exports for at least two periods to compare them.</p>
+              ) : <>
+                <div className="flex items-center gap-2 text-sm flex-wrap">
+                  <span className="text-gray-500">Compare</span>
+                  <select value={gscTrend.a} onChange={e => setGscTrend(t => ({ ...t, a: e.target.value }))} className="border rounded px-2 py-1 text-sm">
+                    {gscHistory.map(h => <option key={h.id} value={h.id}>{gscPeriodLabel(h)}</option>)}
+                  </select>
+                  <span className="text-gray-500">with</span>
+                  <select value={gscTrend.b} onChange={e => setGscTrend(t => ({ ...t, b: e.target.value }))} className="border rounded px-2 py-1 text-sm">
+                    {gscHistory.map(h => <option key={h.id} value={h.id}>{gscPeriodLabel(h)}</option>)}
+                  </select>
+                </div>
+                <div className="flex items-center gap-2 text-sm flex-wrap bg-gray-50 border rounded-lg px-3 py-2">
+                  <span className="text-gray-600">Published</span>
+                  <input type="date" value={gscTrend.publishDay} onChange={e => setGscTrend(t => ({ ...t, publishDay: e.target.value }))} className="border rounded px-2 py-1 text-sm bg-white" />
+                  <button onClick={pickGscPublishPeriods} disabled={!gscTrend.publishDay} className="px-3 py-1 rounded-lg bg-purple-600 text-white text-xs font-semibold hover:bg-purple-700 disabled:opacity-40">Before vs. after publish</button>
+                </div>
+                {!gscTrendView.page ? (
+                  <p className="text-sm text-gray-500 text-center py-4">No GSC data for this blog in either period.</p>
+                ) : <>
+                  <div className="grid grid-cols-4 gap-2">
+                    {GSC_METRIC_KEYS.map(k => {
+                      const m = gscTrendView.page[k], d = formatGscDelta(k, m.delta);
+                      return (
+                        <div key={k} className="border rounded-lg px-3 py-2">
+                          <p className="text-[10px] font-semibold text-gray-500 uppercase">{k}</p>
+                          <p className="text-lg font-bold text-[#0f172a]">{formatGscMetric(k, m.after)}</p>
+                          <p className="text-xs text-gray-500">from {formatGscMetric(k, m.before)} <span className={`font-semibold ${d.tone}`}>{d.text}</span></p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <table className="w-full text-xs">
+                    <thead className="text-gray-500 uppercase text-[10px]">
+                      <tr><th className="text-left py-1">Keyword</th>{GSC_METRIC_KEYS.map(k => <th key={k} className="text-right py-1 px-1">{k}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                      {gscTrendView.keywords.map(row => (
+                        <tr key={row.query} className="border-t">
+                          <td className="py-1 pr-2 text-gray-800">
+                            {row.query}
+                            {row.clicks.before == null && <span className="ml-1 text-[10px] font-semibold text-green-700">new</span>}
+                            {row.clicks.after == null && <span className="ml-1 text-[10px] font-semibold text-red-600">dropped</span>}
+                          </td>
+                          {GSC_METRIC_KEYS.map(k => {
+                            const d = formatGscDelta(k, row[k].delta);
+                            return (
+                              <td key={k} className="py-1 px-1 text-right whitespace-nowrap">
+                                {formatGscMetric(k, row[k].after ?? row[k].before)} <span className={`font-semibold ${d.tone}`}>{d.text}</span>
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-[11px] text-gray-500">Keywords are the matched top queries for each period, so “new” / “dropped” can also mean the query moved in or out of that list.</p>
+                </>}
+              </>}
+            </div>
+          </div>
+        </div>
+      )}
+
       <footer className="bg-[#0f172a] border-t border-gray-800 mt-auto">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 flex items-center justify-between flex-wrap gap-4">
           <div className="flex items-center gap-2">